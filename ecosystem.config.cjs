@@ -9,9 +9,9 @@ module.exports = {
       env: {
         NODE_ENV: 'production',
         PORT: process.env.PORT || 3000,
-        PUBLIC_BASE_URL: process.env.PUBLIC_BASE_URL || 'http://localhost:3000',
+        PUBLIC_BASE_URL: process.env.PUBLIC_BASE_URL,
         ADMIN_USERNAME: process.env.ADMIN_USERNAME || 'admin',
-        ADMIN_PASSWORD: process.env.ADMIN_PASSWORD || 'admin123'
+        ADMIN_PASSWORD: process.env.ADMIN_PASSWORD
       }
     }
   ]
@@ -0,0 +1,202 @@
+import 'dotenv/config';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.join(__dirname, '..');
+
+/**
+ * Every setting the server reads, by its environment variable name.
+ * Values come from the defaults, then the optional JSON config file (same names), then the environment.
+ * type: string | int | bool | list (comma separated) | url | enum (with `values`); `secret` values are redacted.
+ * Defaults may be functions of the settings resolved before them (e.g. paths under DATA_DIR).
+ */
+const SCHEMA = {
+  // Server
+  PORT: { type: 'int', default: 3000, min: 1, max: 65535, description: 'HTTP port' },
+  HTTPS_PORT: { type: 'int', default: 3443, min: 1, max: 65535, description: 'HTTPS port (when the SSL files exist)' },
+  // Not SSL_CERT_FILE: OpenSSL already uses that name for the CA bundle
+  HTTPS_KEY_FILE: { type: 'string', default: path.join(rootDir, 'ssl', 'private-key.pem') },
+  HTTPS_CERT_FILE: { type: 'string', default: path.join(rootDir, 'ssl', 'certificate.pem') },
+  PUBLIC_BASE_URL: { type: 'url', default: '', description: 'External base URL for generated links; empty = the admin request\'s own origin' },
+  LOG_LEVEL: { type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+  TRUST_PROXY: { type: 'string', default: '', description: 'Express "trust proxy": empty/false = ignore X-Forwarded-For, true, a hop count, or proxy addresses (e.g. loopback)' },
+
+  // Storage
+  DATA_DIR: { type: 'string', default: path.join(rootDir, 'data') },
+  DB_FILE: { type: 'string', default: c => path.join(c.DATA_DIR, 'app.db') },
+  ACCOUNTS_FILE: { type: 'string', default: c => path.join(c.DATA_DIR, 'secrets', 'accounts.json') },
+  CACHE_DIR: { type: 'string', default: c => path.join(c.DATA_DIR, 'cache') },
+  SELECTORS_FILE: { type: 'string', default: c => path.join(c.DATA_DIR, 'selectors.json') },
+  DOWNLOAD_LOG_MAX: { type: 'int', default: 20000, min: 1 },
+
+  // Admin
+  ADMIN_USERNAME: { type: 'string', default: 'admin', description: 'Owner account created on first start' },
+  ADMIN_PASSWORD: { type: 'string', default: '', secret: true },
+  ADMIN_SESSION_HOURS: { type: 'int', default: 12, min: 1 },
+  METRICS_TOKEN: { type: 'string', default: '', secret: true, description: 'Bearer token for scraping /metrics; empty = admin sign-in only' },
+
+  // aippt.cn accounts
+  AIPPT_USERNAME: { type: 'string', default: '' },
+  AIPPT_PASSWORD: { type: 'string', default: '', secret: true },
+  ACCOUNT_ROTATION: { type: 'enum', values: ['round_robin', 'least_used'], default: 'round_robin' },
+  ACCOUNT_MAX_FAILURES: { type: 'int', default: 3, min: 1 },
+  ACCOUNT_COOLDOWN_MINUTES: { type: 'int', default: 30, min: 1 },
+  SESSION_MANAGER_ENABLED: { type: 'bool', default: true },
+  SESSION_CHECK_INTERVAL_MINUTES: { type: 'int', default: 10, min: 1 },
+  SESSION_REFRESH_BEFORE_HOURS: { type: 'int', default: 24, min: 1 },
+  SESSION_VERIFY_INTERVAL_HOURS: { type: 'int', default: 6, min: 1 },
+
+  // Browser
+  HEADLESS: { type: 'bool', default: true, aliases: ['PLAYWRIGHT_HEADLESS'] },
+  PAGE_CONSOLE_LOG: { type: 'enum', values: ['off', 'errors', 'all'], default: 'errors', description: 'Forward the template page\'s console messages to the log' },
+  PLAYWRIGHT_NAVIGATION_TIMEOUT_MS: { type: 'int', default: 15000, min: 1000, description: 'Loading the template / home page' },
+  PLAYWRIGHT_ACTION_TIMEOUT_MS: { type: 'int', default: 15000, min: 1000, description: 'Filling the login form, clicking download' },
+  PLAYWRIGHT_DOWNLOAD_TIMEOUT_MS: { type: 'int', default: 60000, min: 1000, description: 'Waiting for the file download to start' },
+  POOL_MAX_CONTEXTS: { type: 'int', default: 2, min: 1 },
+  POOL_QUEUE_TIMEOUT_MS: { type: 'int', default: 120000, min: 1000 },
+  POOL_RECYCLE_AFTER_JOBS: { type: 'int', default: 50, min: 1 },
+  POOL_RECYCLE_MEMORY_MB: { type: 'int', default: 1024, min: 64 },
+
+  // Downloads
+  TRANSFER_TIMEOUT_MS: { type: 'int', default: 30000, min: 1000, description: 'POST /api/aippt-download: max time to send the file' },
+  JOB_TTL_MS: { type: 'int', default: 15 * 60 * 1000, min: 1000 },
+  BATCH_MAX_URLS: { type: 'int', default: 10, min: 1, description: 'POST /api/batch-download: templates per request' },
+  ALLOWED_HOSTS: { type: 'list', default: ['aippt.cn'], nonEmpty: true },
+  DOWNLOAD_ALLOWED_HOSTS: { type: 'list', default: [] },
+  ALLOWED_FILE_EXTENSIONS: { type: 'list', default: ['ppt', 'pptx', 'pdf', 'zip', 'rar', '7z', 'key'], nonEmpty: true },
+  CACHE_TTL_HOURS: { type: 'int', default: 72, min: 1 },
+  CACHE_MAX_MB: { type: 'int', default: 2048, min: 1 },
+  CACHE_HIT_COUNTS_QUOTA: { type: 'bool', default: true },
+
+  // Failure diagnostics
+  DIAGNOSTICS_ENABLED: { type: 'bool', default: false, description: 'Keep a screenshot, HTML snapshot and trace of failed browser downloads' },
+  DIAGNOSTICS_TRACE: { type: 'bool', default: true, description: 'Record a Playwright trace of every download while diagnostics are on' },
+  DIAGNOSTICS_DIR: { type: 'string', default: c => path.join(c.DATA_DIR, 'diagnostics') },
+  DIAGNOSTICS_MAX_ENTRIES: { type: 'int', default: 50, min: 1 },
+  DIAGNOSTICS_MAX_AGE_DAYS: { type: 'int', default: 7, min: 1 },
+
+  // Quota and abuse limits
+  QUOTA_RESERVATION_TTL_MINUTES: { type: 'int', default: 30, min: 1 },
+  MAX_CONCURRENT_PER_TOKEN: { type: 'int', default: 2, min: 1 },
+  RATE_LIMIT_IP_PER_MINUTE: { type: 'int', default: 20, min: 1 },
+  RATE_LIMIT_TOKEN_PER_MINUTE: { type: 'int', default: 10, min: 1 },
+  LOCKOUT_FAILURES: { type: 'int', default: 10, min: 1 },
+  LOCKOUT_WINDOW_MINUTES: { type: 'int', default: 10, min: 1 },
+  LOCKOUT_MINUTES: { type: 'int', default: 15, min: 1 },
+};
+
+// Parse one raw value (string from env, or any JSON value from the file); returns { value } or { error }
+function parseValue(spec, raw) {
+  switch (spec.type) {
+    case 'int': {
+      const n = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isInteger(n)) return { error: `must be an integer, got "${raw}"` };
+      if (spec.min != null && n < spec.min) return { error: `must be at least ${spec.min}, got ${n}` };
+      if (spec.max != null && n > spec.max) return { error: `must be at most ${spec.max}, got ${n}` };
+      return { value: n };
+    }
+    case 'bool': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const v = String(raw).trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(v)) return { value: true };
+      if (['false', '0', 'no', 'off'].includes(v)) return { value: false };
+      return { error: `must be true or false, got "${raw}"` };
+    }
+    case 'list': {
+      const items = (Array.isArray(raw) ? raw : String(raw).split(','))
+        .map(s => String(s).trim().toLowerCase()).filter(Boolean);
+      if (spec.nonEmpty && items.length === 0) return { error: 'must list at least one value' };
+      return { value: items };
+    }
+    case 'enum': {
+      const v = String(raw).trim().toLowerCase();
+      if (!spec.values.includes(v)) return { error: `must be one of ${spec.values.join(', ')}, got "${raw}"` };
+      return { value: v };
+    }
+    case 'url': {
+      const v = String(raw).trim();
+      if (!v) return { value: '' };
+      let parsed;
+      try { parsed = new URL(v); } catch (_) { return { error: `must be an absolute http(s) URL, got "${raw}"` }; }
+      if (!['http:', 'https:'].includes(parsed.protocol)) return { error: `must be an http(s) URL, got "${raw}"` };
+      if (parsed.search || parsed.hash) return { error: 'must not contain a query string or fragment' };
+      return { value: v.replace(/\/+$/, '') };
+    }
+    default:
+      return { value: String(raw) };
+  }
+}
+
+function readConfigFile(file) {
+  if (!file || !fs.existsSync(file)) return { values: {}, errors: [] };
+  try {
+    const values = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return { values: {}, errors: [`${file}: must contain a JSON object`] };
+    }
+    const unknown = Object.keys(values).filter(k => !SCHEMA[k]);
+    return { values, errors: unknown.map(k => `${file}: unknown setting ${k}`) };
+  } catch (err) {
+    return { values: {}, errors: [`${file}: ${err.message}`] };
+  }
+}
+
+/**
+ * Resolve and validate every setting. Returns `{ values, sources, errors }`;
+ * `sources[name]` is 'default', 'file' or 'env'.
+ */
+export function loadConfig({ env = process.env, file = env.CONFIG_FILE || path.join(env.DATA_DIR || path.join(rootDir, 'data'), 'config.json') } = {}) {
+  const fromFile = readConfigFile(file);
+  const errors = [...fromFile.errors];
+  const values = {};
+  const sources = {};
+  for (const [name, spec] of Object.entries(SCHEMA)) {
+    const envName = [name, ...(spec.aliases || [])].find(n => env[n] != null && env[n] !== '');
+    let raw;
+    if (envName) {
+      raw = env[envName];
+      sources[name] = 'env';
+    } else if (fromFile.values[name] != null) {
+      raw = fromFile.values[name];
+      sources[name] = 'file';
+    } else {
+      values[name] = typeof spec.default === 'function' ? spec.default(values) : spec.default;
+      sources[name] = 'default';
+      continue;
+    }
+    const parsed = parseValue(spec, raw);
+    if (parsed.error) {
+      errors.push(`${envName || name} ${parsed.error}`);
+      values[name] = typeof spec.default === 'function' ? spec.default(values) : spec.default;
+    } else {
+      values[name] = parsed.value;
+    }
+  }
+  return { values, sources, errors, file: fs.existsSync(file) ? file : null };
+}
+
+const loaded = loadConfig();
+if (loaded.errors.length) {
+  console.error('[config] Invalid configuration:');
+  loaded.errors.forEach(e => console.error(`  - ${e}`));
+  process.exit(1);
+}
+
+// Validated settings, by environment variable name
+export const config = Object.freeze(loaded.values);
+
+// Settings with their source and secrets masked, for GET /api/admin/config
+export function redactedConfig() {
+  return {
+    file: loaded.file,
+    settings: Object.entries(SCHEMA).map(([name, spec]) => ({
+      name,
+      value: spec.secret ? (config[name] ? '********' : '') : config[name],
+      source: loaded.sources[name],
+      ...(spec.description ? { description: spec.description } : {}),
+    })),
+  };
+}
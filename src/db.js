@@ -1,37 +1,40 @@
 import path from 'path';
 import fs from 'fs';
-import { fileURLToPath } from 'url';
-import { Low } from 'lowdb';
-import { JSONFile } from 'lowdb/node';
+import Database from 'better-sqlite3';
+import { config } from './config.js';
+import { migrate } from './storage/migrations.js';
+import { importLegacyJson } from './storage/legacyImport.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const dataDir = config.DATA_DIR;
+const dbPath = config.DB_FILE;
+// Pre-SQLite data file, imported once on first start
+const legacyJsonPath = path.join(dataDir, 'app.json');
 
 let dbInstance;
 
 export function getDb() {
   if (dbInstance) return dbInstance;
-  const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
-  if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-  }
-  const dbPath = path.join(dataDir, 'app.json');
-  const adapter = new JSONFile(dbPath);
-  const db = new Low(adapter, { tokens: [], seq: 0, stats: { totalDownloads: 0, totalBytes: 0 } });
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.pragma('busy_timeout = 5000');
   dbInstance = db;
   return dbInstance;
 }
 
-export async function initDb() {
+export function initDb() {
   const db = getDb();
-  await db.read();
-  db.data = db.data || { tokens: [], seq: 0, stats: { totalDownloads: 0, totalBytes: 0 } };
-  // Backfill missing fields for older data files
-  if (!db.data.stats) {
-    db.data.stats = { totalDownloads: 0, totalBytes: 0 };
-  }
-  await db.write();
+  migrate(db);
+  importLegacyJson(db, legacyJsonPath);
   return db;
 }
 
+// Run `fn` in a transaction; nested calls join the outer one
+export function transaction(fn) {
+  return getDb().transaction(fn)();
+}
 
+export function databasePath() {
+  return dbPath;
+}
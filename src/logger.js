@@ -0,0 +1,72 @@
+import { config } from './config.js';
+
+// JSON lines on stdout: { time, level, msg, ...context }. Child loggers carry context such as the request id.
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const threshold = LOG_LEVELS.indexOf(config.LOG_LEVEL);
+
+// Error objects don't serialize to JSON; keep what helps when reading the log
+function serializable(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.code ? { code: value.code } : {}), stack: value.stack };
+  }
+  return value;
+}
+
+function write(level, context, msg, fields) {
+  if (LOG_LEVELS.indexOf(level) < threshold) return;
+  const entry = { time: new Date().toISOString(), level, msg, ...context };
+  for (const [key, value] of Object.entries(fields || {})) {
+    if (value !== undefined) entry[key] = serializable(value);
+  }
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (_) {
+    line = JSON.stringify({ time: entry.time, level, msg, ...context, note: 'fields not serializable' });
+  }
+  process.stdout.write(`${line}\n`);
+}
+
+/**
+ * Logger whose entries all include `context`, e.g. createLogger({ module: 'pool' }).
+ * log.info(msg, fields) / debug / warn / error; log.child(moreContext) adds to the context.
+ */
+export function createLogger(context = {}) {
+  const log = {};
+  for (const level of LOG_LEVELS) log[level] = (msg, fields) => write(level, context, msg, fields);
+  log.child = (more) => createLogger({ ...context, ...more });
+  return log;
+}
+
+export const logger = createLogger();
+
+// Enough of a token to find the link in the admin page without making the log a list of working links
+export function maskToken(token) {
+  if (!token) return token;
+  const value = String(token);
+  return value.length > 8 ? `${value.slice(0, 6)}...` : '***';
+}
+
+const SECRET_PARAMS = new Set(['token', 'password', 'csrf']);
+// Paths whose segment after the prefix is a download token
+const TOKEN_PATHS = [/^(\/d\/)([^/?]+)/, /^(\/api\/(?:token|download)\/)([^/?]+)/, /^(\/api\/admin\/links\/)([^/?]+)/];
+
+// URL for the access log with tokens and other secrets masked (path segments and query parameters)
+export function redactUrl(url) {
+  const [pathPart, query] = String(url).split(/\?(.*)/s);
+  let redacted = pathPart;
+  for (const pattern of TOKEN_PATHS) {
+    redacted = redacted.replace(pattern, (_, prefix, token) => (
+      // Collection routes (/api/admin/links/export, /bulk, /cards) aren't tokens
+      /^(export|bulk|cards)$/.test(token) ? `${prefix}${token}` : `${prefix}${maskToken(token)}`
+    ));
+  }
+  if (!query) return redacted;
+  const params = new URLSearchParams(query);
+  for (const key of [...params.keys()]) {
+    if (SECRET_PARAMS.has(key.toLowerCase())) params.set(key, key.toLowerCase() === 'token' ? maskToken(params.get(key)) : '***');
+  }
+  return `${redacted}?${params}`;
+}
@@ -1,74 +1,165 @@
-import 'dotenv/config';
+import { config, redactedConfig } from './config.js';
 import express from 'express';
-import morgan from 'morgan';
 import path from 'path';
 import fs from 'fs';
 import https from 'https';
 import { fileURLToPath } from 'url';
+import crypto from 'crypto';
 import { nanoid } from 'nanoid';
-import { getDb, initDb } from './db.js';
+import { initDb, transaction } from './db.js';
+import { getToken, listTokens, selectTokens, updateTokens, deleteToken, deleteTokens, clearTokenUsage, TOKEN_STATUSES } from './storage/tokens.js';
+import { listTokenClients, clearTokenClients } from './storage/tokenClients.js';
+import { createBatch, listBatches, getBatch, revokeBatch } from './storage/batches.js';
+import { getStats } from './storage/stats.js';
+import { resolveRange, downloadAnalytics } from './services/analytics.js';
 import { downloadAipptTemplate } from './services/aipptDownloader.js';
+import { getPoolStatus } from './services/browserPool.js';
+import { listAccounts, createAccount, updateAccount, deleteAccount } from './services/accounts.js';
+import { getAdapter, listAdapters, selectorsFilePath } from './services/adapters/index.js';
+import { getSessionStatus, reloginAccount, startSessionManager } from './services/sessionManager.js';
+import { startDownloadAttempt, clientIp, queryDownloads, exportDownloads, downloadsToCsv, DOWNLOAD_OUTCOMES } from './services/downloadLog.js';
+import { lookupCachedTemplate, storeCachedTemplate, listCachedTemplates, purgeCachedTemplates, cacheHitCountsQuota } from './services/templateCache.js';
+import { validateTemplateUrl } from './services/urlPolicy.js';
+import { DownloadError, refusalError, toDownloadError } from './services/errors.js';
+import { createZipStream } from './services/zip.js';
+import {
+  MANIFEST_NAME, parseBatchUrls, archiveEntryName, isStoredFormat, batchArchiveName, batchManifest,
+} from './services/batchDownload.js';
+import { EXPORT_FORMATS, linkExportRecords, renderLinkExport } from './services/linkExport.js';
+import { encodeQr, qrToSvg, qrToPng, QR_ERROR_LEVELS } from './services/qrcode.js';
+import { renderCardsHtml, renderCardsPdf, MAX_CARDS } from './services/linkCards.js';
+import { renderMetrics, observeStage, METRICS_CONTENT_TYPE } from './services/metrics.js';
+import { logger, maskToken, redactUrl } from './logger.js';
+import {
+  DIAGNOSTIC_FILES, diagnosticsEnabled, listDiagnostics, getDiagnostic, diagnosticFilePath, deleteDiagnostic, pruneDiagnostics,
+} from './services/diagnostics.js';
+import {
+  isTokenValid, isTemporaryRefusal, describeQuota, reserveQuota, reserveQuotaBatch, startReservationSweeper, PERIOD_MS,
+} from './services/quota.js';
+import { checkRateLimit, recordFailure, startRateLimitSweeper } from './services/rateLimit.js';
+import { identifyClient, checkClientBinding } from './services/clientBinding.js';
+import { readCookie, serializeCookie } from './services/cookies.js';
+import {
+  ADMIN_ROLES, MIN_PASSWORD_LENGTH, SESSION_COOKIE, roleAllows, ensureOwnerAccount, login, logout, resolveSession,
+  createAdminUser, updateAdminUserAccount, deleteAdminUserAccount, changeOwnPassword, startAdminSessionSweeper,
+} from './services/adminAuth.js';
+import { recordAdminAction, queryAuditLog } from './services/audit.js';
+import { listAdminUsers } from './storage/adminUsers.js';
+import { createJob, getJob, publicJob, isTerminal, reportTransfer, markDelivered } from './services/jobs.js';
 import { chromium } from 'playwright';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-const db = getDb();
-await initDb();
-
-// Runtime options
-const defaultHeadless = String(process.env.HEADLESS || 'true').toLowerCase() !== 'false';
+// Forwarded client addresses are only believed from the configured proxies (see TRUST_PROXY)
+app.set('trust proxy', trustProxySetting(config.TRUST_PROXY));
+initDb();
 
 // Middleware
-app.use(morgan('dev'));
+// Every request gets an id (a well-formed incoming X-Request-Id is kept), echoed back and attached to its log entries
+app.use((req, res, next) => {
+  const incoming = String(req.get('x-request-id') || '');
+  req.id = /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.setHeader('X-Request-Id', req.id);
+  const startedAt = Date.now();
+  // Access log; tokens in the path or query are masked
+  res.on('close', () => {
+    req.log.info('request', {
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      bytes: res.getHeader('content-length') != null ? Number(res.getHeader('content-length')) : undefined,
+      ip: clientIp(req),
+      aborted: res.writableFinished ? undefined : true,
+    });
+  });
+  next();
+});
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Static files
 app.use('/static', express.static(path.join(__dirname, 'public')));
 
-// Basic auth for admin
-const adminUsername = process.env.ADMIN_USERNAME || 'admin';
-const adminPassword = process.env.ADMIN_PASSWORD || 'admin123';
-
-function requireAdminAuth(req, res, next) {
-  const authHeader = req.headers.authorization || '';
-  if (!authHeader.startsWith('Basic ')) {
-    res.set('WWW-Authenticate', 'Basic realm="Admin Area"');
-    return res.status(401).send('Authentication required');
-  }
-  const base64 = authHeader.split(' ')[1];
-  const [user, pass] = Buffer.from(base64, 'base64').toString().split(':');
-  if (user === adminUsername && pass === adminPassword) return next();
-  res.set('WWW-Authenticate', 'Basic realm="Admin Area"');
-  return res.status(401).send('Invalid credentials');
+// Admin sessions: HttpOnly cookie from the login page, CSRF token in a header for state-changing requests
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Constant-time comparison of a client-supplied secret
+function secretMatches(sent, expected) {
+  const a = Buffer.from(String(sent || ''));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Require a signed-in admin with at least `role` (viewer < operator < owner).
+ * Sets req.admin ({ id, username, role }) and req.adminUser (the username).
+ */
+function requireAdmin(role = 'viewer') {
+  return (req, res, next) => {
+    const session = resolveSession(readCookie(req, SESSION_COOKIE));
+    if (!session) {
+      if (req.method === 'GET' && !req.path.startsWith('/api/')) return res.redirect('/admin/login');
+      return res.status(401).json({ error: '请先登录' });
+    }
+    if (!SAFE_METHODS.has(req.method) && !secretMatches(req.get('X-CSRF-Token'), session.csrf_token)) {
+      return res.status(403).json({ error: 'CSRF token missing or invalid' });
+    }
+    if (!roleAllows(session.role, role)) return res.status(403).json({ error: '权限不足' });
+    req.admin = { id: session.user_id, username: session.username, role: session.role };
+    req.adminUser = session.username;
+    next();
+  };
+}
+
+function sessionCookie(req, value, { clear = false } = {}) {
+  return serializeCookie(SESSION_COOKIE, value, {
+    maxAge: clear ? 0 : null,
+    // Behind a proxy, req.secure follows X-Forwarded-Proto only when TRUST_PROXY trusts it
+    secure: req.secure,
+  });
 }
 
 // Views
-app.get('/admin', requireAdminAuth, (req, res) => {
+app.get('/admin', requireAdmin('viewer'), (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'admin.html'));
 });
 
+app.get('/admin/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
 app.get('/download', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'download.html'));
 });
 
+// Short form of a download link, used on printed cards
+app.get('/d/:token', (req, res) => {
+  res.redirect(`/download?token=${encodeURIComponent(req.params.token)}`);
+});
+
 // Health check & self-check
 async function runSelfCheck() {
   const checks = {
     env: {
-      ADMIN_USERNAME: !!process.env.ADMIN_USERNAME,
-      ADMIN_PASSWORD: !!process.env.ADMIN_PASSWORD,
-      AIPPT_USERNAME: !!process.env.AIPPT_USERNAME,
-      AIPPT_PASSWORD: !!process.env.AIPPT_PASSWORD,
+      ADMIN_USERNAME: !!config.ADMIN_USERNAME,
+      ADMIN_PASSWORD: !!config.ADMIN_PASSWORD,
+      PUBLIC_BASE_URL: !!config.PUBLIC_BASE_URL,
     },
+    accounts: { total: 0, available: 0 },
     dataDirWritable: false,
     playwright: { launchOk: false, error: null },
   };
+  try {
+    const accounts = listAccounts();
+    checks.accounts = { total: accounts.length, available: accounts.filter(a => a.available).length };
+  } catch (_) {}
   // data/ writable check
   try {
-    const dataDir = path.join(__dirname, 'public', '..', 'data');
+    const dataDir = config.DATA_DIR;
     try { fs.mkdirSync(dataDir, { recursive: true }); } catch (_) {}
     const testFile = path.join(dataDir, '.write-test');
     fs.writeFileSync(testFile, String(Date.now()));
@@ -79,7 +170,7 @@ async function runSelfCheck() {
   }
   // playwright quick launch
   try {
-    const browser = await chromium.launch({ headless: true, args: ['--no-sandbox','--disable-setuid-sandbox','--disable-dev-shm-usage'] });
+    const browser = await chromium.launch({ headless: config.HEADLESS, args: ['--no-sandbox','--disable-setuid-sandbox','--disable-dev-shm-usage'] });
     await browser.close();
     checks.playwright.launchOk = true;
   } catch (err) {
@@ -97,160 +188,525 @@ app.get('/api/health', async (req, res) => {
       ok,
       version: process.env.npm_package_version || '0.1.0',
       node: process.version,
-      port: process.env.PORT || 3000,
+      port: config.PORT,
       checks,
+      pool: getPoolStatus(),
     });
   } catch (err) {
     res.status(500).json({ ok: false, error: err.message || String(err) });
   }
 });
 
+// Prometheus scrape endpoint: `Authorization: Bearer <METRICS_TOKEN>` or a signed-in admin
+function requireMetricsAccess(req, res, next) {
+  const auth = req.get('authorization') || '';
+  if (config.METRICS_TOKEN && /^Bearer /i.test(auth)) {
+    if (secretMatches(auth.slice(7).trim(), config.METRICS_TOKEN)) return next();
+    return res.status(401).type('text/plain').send('invalid metrics token\n');
+  }
+  if (!resolveSession(readCookie(req, SESSION_COOKIE))) return res.status(401).type('text/plain').send('unauthorized\n');
+  return requireAdmin('viewer')(req, res, next);
+}
+
+app.get('/metrics', requireMetricsAccess, (req, res) => {
+  res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(renderMetrics());
+});
+
 // Helpers
-function isTokenValid(tokenRow) {
-  if (!tokenRow) return { ok: false, reason: 'not_found' };
-  const today = new Date();
-  const expiresAt = tokenRow.expires_at ? new Date(tokenRow.expires_at) : null;
-  if (expiresAt && expiresAt < new Date(today.toDateString())) {
-    return { ok: false, reason: 'expired' };
+function trustProxySetting(value) {
+  const v = String(value).trim();
+  if (!v || v === 'false') return false;
+  if (v === 'true') return true;
+  if (/^\d+$/.test(v)) return Number(v);
+  return v.split(',').map(part => part.trim()).filter(Boolean);
+}
+
+// Quota, binding and rate limit refusals, answered with their code (see errors.js); 429s come with Retry-After
+function sendQuotaRefusal(res, validity) {
+  const refusal = refusalError(validity.reason);
+  if (refusal.status === 429) {
+    // Without a known time (e.g. waiting for another download to finish) suggest a short pause
+    const retryAfter = validity.retryAt ? Math.ceil((new Date(validity.retryAt).getTime() - Date.now()) / 1000) : 5;
+    res.set('Retry-After', String(Math.max(1, retryAfter)));
+  }
+  return res.status(refusal.status).json({
+    error: refusal.publicMessage, code: refusal.code, reason: validity.reason, retryAt: validity.retryAt || null,
+    ...(validity.remaining != null ? { remaining: validity.remaining } : {}),
+  });
+}
+
+/**
+ * Per-IP and per-token request limits for the download routes. `tokenFor(req)` picks the token (or null);
+ * rejected requests (4xx other than 429) count towards a temporary lockout.
+ */
+function limitRequests(tokenFor = () => null) {
+  return (req, res, next) => {
+    const ip = clientIp(req);
+    const token = tokenFor(req);
+    const refusal = checkRateLimit({ ip, token });
+    if (refusal) return sendQuotaRefusal(res, refusal);
+    res.on('finish', () => {
+      if (res.statusCode >= 400 && res.statusCode < 500 && res.statusCode !== 429) recordFailure({ ip, token });
+    });
+    next();
+  };
+}
+
+// Answer a failed download with its status, code and user-facing message (the detail stays in the logs)
+function sendDownloadError(res, err, extra = {}) {
+  const failure = toDownloadError(err);
+  return res.status(failure.status).json({ error: failure.publicMessage, code: failure.code, ...extra });
+}
+
+// Validate the user-supplied template URL; on rejection hands back the reservation, answers the request and returns null
+async function checkTemplateUrl(url, attempt, res, reservation) {
+  try {
+    const templateUrl = await validateTemplateUrl(url);
+    attempt.setUrl(templateUrl);
+    return templateUrl;
+  } catch (err) {
+    const failure = toDownloadError(err);
+    reservation.release();
+    attempt.finish({ outcome: 'rejected', error: failure.code, code: failure.code });
+    sendDownloadError(res, failure);
+    return null;
   }
-  if (tokenRow.max_downloads != null && tokenRow.downloads_used >= tokenRow.max_downloads) {
-    return { ok: false, reason: 'exhausted' };
+}
+
+// Serve a template from the disk cache when possible, otherwise run the browser download and cache the result.
+// Resolves to `{ filePath, filename, size, cleanup, cached }`. `downloadOptions.log` tags the entries (request id, token).
+async function obtainTemplate(url, downloadOptions = {}) {
+  const log = downloadOptions.log || logger;
+  const hit = lookupCachedTemplate(url);
+  if (hit) {
+    log.info('cache hit', { url, sha256: hit.sha256 });
+    return { filePath: hit.filePath, filename: hit.filename, size: hit.size, cleanup: () => {}, cached: true };
   }
-  return { ok: true };
+  const result = await downloadAipptTemplate(String(url), downloadOptions);
+  let size = null;
+  try { size = fs.statSync(result.filePath).size; } catch (_) {}
+  try {
+    await storeCachedTemplate(url, result.filePath, result.filename, result.metadata);
+  } catch (err) {
+    log.warn('cache store failed', { error: err.message });
+  }
+  return { ...result, size, cached: false };
+}
+
+// Whether a delivered file should use up one of the token's downloads
+function countsAgainstQuota(result) {
+  return !result.cached || cacheHitCountsQuota();
+}
+
+// Record the attempt once the response is fully sent (success) or the client goes away first (aborted).
+// With `quota`, the reservation is committed on success and released on abort (unless `keepOnAbort`).
+function trackDelivery(res, attempt, details, getBytes, quota = null) {
+  const transferStartedAt = Date.now();
+  res.on('finish', () => {
+    observeStage('transfer', Date.now() - transferStartedAt);
+    attempt.finish({ outcome: 'success', bytes: getBytes(), ...details });
+    if (quota) quota.reservation.commit({ countsQuota: quota.countsQuota, bytes: getBytes() });
+  });
+  res.on('close', () => {
+    attempt.finish({ outcome: 'aborted', bytes: getBytes(), error: 'client disconnected', ...details });
+    if (quota && !quota.keepOnAbort && !res.writableFinished) quota.reservation.release();
+  });
+}
+
+// Token from query/body, falling back to the Referer of /download?token=...
+function resolveRequestToken(req) {
+  let tokenFromReferer = null;
+  try {
+    const ref = req.headers.referer || req.headers.referrer || '';
+    if (ref) {
+      const u = new URL(ref);
+      tokenFromReferer = u.searchParams.get('token');
+    }
+  } catch (_) {}
+  return (req.query && req.query.token) || (req.body && req.body.token) || tokenFromReferer || null;
+}
+
+// Links point at PUBLIC_BASE_URL; without it, at the origin the admin request came in on
+function publicBaseUrl(req) {
+  return config.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+function downloadLinkFor(req, token) {
+  return `${publicBaseUrl(req)}/download?token=${encodeURIComponent(String(token))}`;
+}
+
+function shortLinkFor(req, token) {
+  return `${publicBaseUrl(req)}/d/${encodeURIComponent(String(token))}`;
+}
+
+// TXT export: a header line describing the links, then one URL per line
+function linksTxt(req, tokens, { count = null, expiresAt = null, maxDownloads = null, note = '' } = {}) {
+  const urls = tokens.map(t => downloadLinkFor(req, t));
+  const countLine = count != null ? Number(count) : urls.length;
+  const expires = expiresAt ? String(expiresAt) : '不限';
+  const limit = (maxDownloads != null && maxDownloads !== '') ? String(maxDownloads) : '不限';
+  const noteStr = (note || '').trim() || '无';
+  const header = `生成数量：${countLine}，有效期：${expires}，下载次数限制：${limit}，备注：${noteStr}`;
+  return [header, ...urls].join('\n');
 }
 
 // Admin APIs
-app.get('/api/admin/links', requireAdminAuth, async (req, res) => {
-  await db.read();
+app.get('/api/admin/links', requireAdmin('operator'), async (req, res) => {
   const q = (req.query.q || '').toString().trim();
-  let rows = [...db.data.tokens];
-  if (q) {
-    const qLower = q.toLowerCase();
-    rows = rows.filter(r =>
-      (r.token && r.token.toLowerCase().includes(qLower)) ||
-      (r.note && r.note.toLowerCase().includes(qLower))
-    );
+  const batchId = req.query.batch ? Number(req.query.batch) : null;
+  const status = req.query.status ? String(req.query.status) : null;
+  if (status && !TOKEN_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${TOKEN_STATUSES.join(', ')}` });
   }
-  rows.sort((a, b) => (a.created_at < b.created_at ? 1 : -1));
-  res.json({ data: rows });
+  res.json({ data: listTokens({ q, batchId, status }).map(t => ({ ...t, url: downloadLinkFor(req, t.token) })) });
 });
 
 // Delete token by token string
-app.delete('/api/admin/links/:token', requireAdminAuth, async (req, res) => {
+app.delete('/api/admin/links/:token', requireAdmin('operator'), async (req, res) => {
   const { token } = req.params;
-  await db.read();
-  const before = db.data.tokens.length;
-  db.data.tokens = db.data.tokens.filter(t => t.token !== token);
-  const after = db.data.tokens.length;
-  if (after === before) {
+  if (!deleteToken(token)) {
     return res.status(404).json({ error: 'not found' });
   }
-  await db.write();
+  recordAdminAction(req, 'link.delete', { target: token });
   return res.json({ ok: true });
 });
 
-app.post('/api/admin/links', requireAdminAuth, async (req, res) => {
+// Usage policy fields shared by link generation and editing; null or '' clears a field
+function parsePolicyFields(body = {}) {
+  const changes = {};
+  const counts = {
+    validForHours: 'valid_for_hours',
+    periodLimit: 'period_limit',
+    cooldownMinutes: 'cooldown_minutes',
+    rateLimitPerMinute: 'rate_limit_per_minute',
+    maxConcurrent: 'max_concurrent',
+    maxClients: 'max_clients',
+  };
+  for (const [field, column] of Object.entries(counts)) {
+    if (!(field in body)) continue;
+    const v = body[field];
+    if (v === null || v === '') changes[column] = null;
+    else if (Number.isInteger(Number(v)) && Number(v) > 0) changes[column] = Number(v);
+    else return { error: `${field} must be a positive integer or null` };
+  }
+  if ('period' in body) {
+    const v = body.period;
+    if (v === null || v === '') changes.period = null;
+    else if (Object.hasOwn(PERIOD_MS, v)) changes.period = v;
+    else return { error: `period must be one of ${Object.keys(PERIOD_MS).join(', ')} or null` };
+  }
+  if ('bindMode' in body) {
+    const v = body.bindMode;
+    if (v === null || v === '') changes.bind_mode = null;
+    else if (v === 'device' || v === 'ip') changes.bind_mode = v;
+    else return { error: 'bindMode must be device, ip or null' };
+  }
+  return { changes };
+}
+
+// Parse admin edits (camelCase body, as for creation) into token columns; returns { changes } or { error }
+function parseTokenChanges(body = {}) {
+  const { changes, error } = parsePolicyFields(body);
+  if (error) return { error };
+  if ('maxDownloads' in body) {
+    const v = body.maxDownloads;
+    if (v === null || v === '') changes.max_downloads = null;
+    else if (Number.isInteger(Number(v)) && Number(v) >= 0) changes.max_downloads = Number(v);
+    else return { error: 'maxDownloads must be a non-negative integer or null' };
+  }
+  if ('expiresAt' in body) {
+    const v = body.expiresAt;
+    if (v === null || v === '') changes.expires_at = null;
+    else if (!isNaN(new Date(v).getTime())) changes.expires_at = new Date(v).toISOString().slice(0, 10);
+    else return { error: 'expiresAt must be a valid date (YYYY-MM-DD) or null' };
+  }
+  if ('note' in body) changes.note = String(body.note ?? '');
+  if ('disabled' in body) changes.disabled = body.disabled === true || body.disabled === 'true';
+  if (body.resetUsage === true || body.resetUsage === 'true') {
+    // Also restarts a relative validity window; the route clears the usage log
+    changes.downloads_used = 0;
+    changes.first_used_at = null;
+  }
+  return { changes };
+}
+
+// Push the expiry out by `days` (from today if already past; unlimited stays unlimited) and/or raise the limit
+function extendTokenChanges(row, { days, addDownloads }) {
+  const changes = {};
+  if (days && row.expires_at) {
+    const today = new Date(new Date().toISOString().slice(0, 10));
+    const base = new Date(row.expires_at) > today ? new Date(row.expires_at) : today;
+    base.setUTCDate(base.getUTCDate() + days);
+    changes.expires_at = base.toISOString().slice(0, 10);
+  }
+  if (addDownloads && row.max_downloads != null) changes.max_downloads = row.max_downloads + addDownloads;
+  return changes;
+}
+
+// Edit one token: { maxDownloads, expiresAt, note, disabled, resetUsage }
+app.patch('/api/admin/links/:token', requireAdmin('operator'), async (req, res) => {
+  const row = getToken(req.params.token);
+  if (!row) return res.status(404).json({ error: 'not found' });
+  const { changes, error } = parseTokenChanges(req.body || {});
+  if (error) return res.status(400).json({ error });
+  const [updated] = transaction(() => {
+    if ('downloads_used' in changes) clearTokenUsage(row.id);
+    // Forget the devices / IPs seen so far; the next ones to use the link get bound
+    if (req.body && (req.body.resetBinding === true || req.body.resetBinding === 'true')) clearTokenClients(row.id);
+    return updateTokens([row], () => changes);
+  });
+  recordAdminAction(req, 'link.update', { target: row.token, details: req.body || {} });
+  res.json({ data: updated });
+});
+
+app.get('/api/admin/links/:token/clients', requireAdmin('operator'), (req, res) => {
+  const row = getToken(req.params.token);
+  if (!row) return res.status(404).json({ error: 'not found' });
+  res.json({ data: listTokenClients(row.id) });
+});
+
+// Tokens picked by `{ tokens: [...] }` or by `{ filter: { q, batchId, status } }` (same search as the list; empty = all tokens)
+function selectLinks({ tokens, filter } = {}) {
+  const hasFilter = !!filter && typeof filter === 'object';
+  if (Array.isArray(tokens) === hasFilter) return { error: 'provide either tokens or filter' };
+  if (hasFilter && filter.status && !TOKEN_STATUSES.includes(filter.status)) {
+    return { error: `status must be one of ${TOKEN_STATUSES.join(', ')}` };
+  }
+  return {
+    rows: selectTokens(Array.isArray(tokens)
+      ? { tokens }
+      : {
+        q: String(filter.q || '').trim(),
+        batchId: filter.batchId != null ? Number(filter.batchId) : null,
+        status: filter.status || null,
+      }),
+  };
+}
+
+// Bulk actions on a selection or a search filter (see selectLinks)
+// body: { action: 'extend' | 'disable' | 'enable' | 'delete', days?, addDownloads? }
+const BULK_ACTIONS = ['extend', 'disable', 'enable', 'delete'];
+app.post('/api/admin/links/bulk', requireAdmin('operator'), async (req, res) => {
+  const { action, tokens, filter } = req.body || {};
+  if (!BULK_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of ${BULK_ACTIONS.join(', ')}` });
+  }
+  const hasFilter = !!filter && typeof filter === 'object';
+  const { rows, error } = selectLinks(req.body);
+  if (error) return res.status(400).json({ error });
+  const auditBulk = affected => recordAdminAction(req, `link.bulk_${action}`, {
+    details: { tokens: Array.isArray(tokens) ? tokens : undefined, filter: hasFilter ? filter : undefined,
+      days: req.body.days, addDownloads: req.body.addDownloads, matched: rows.length, affected },
+  });
+  if (action === 'delete') {
+    const affected = deleteTokens(rows);
+    auditBulk(affected);
+    return res.json({ action, matched: rows.length, affected });
+  }
+  let changesFor;
+  if (action === 'extend') {
+    const days = parseInt(req.body.days, 10) || 0;
+    const addDownloads = parseInt(req.body.addDownloads, 10) || 0;
+    if (days < 0 || addDownloads < 0 || (!days && !addDownloads)) {
+      return res.status(400).json({ error: 'extend needs a positive days and/or addDownloads' });
+    }
+    changesFor = (row) => {
+      const changes = extendTokenChanges(row, { days, addDownloads });
+      return Object.keys(changes).length ? changes : null;
+    };
+  } else {
+    const disabled = action === 'disable';
+    changesFor = row => (row.disabled === disabled ? null : { disabled });
+  }
+  const updated = updateTokens(rows, changesFor);
+  auditBulk(updated.length);
+  res.json({ action, matched: rows.length, affected: updated.length });
+});
+
+app.post('/api/admin/links', requireAdmin('operator'), async (req, res) => {
   const { count = 1, maxDownloads = null, expiresAt = null, note = '' } = req.body || {};
   const normalizedCount = Math.min(Math.max(parseInt(count, 10) || 1, 1), 1000);
   const validDate = expiresAt ? new Date(expiresAt) : null;
   if (expiresAt && isNaN(validDate.getTime())) {
     return res.status(400).json({ error: 'expiresAt must be a valid date (YYYY-MM-DD)' });
   }
-  await db.read();
-  const nowIso = new Date().toISOString();
-  const created = [];
-  for (let i = 0; i < normalizedCount; i++) {
-    const token = nanoid(24);
-    const row = {
-      id: ++db.data.seq,
-      token,
-      max_downloads: maxDownloads != null ? Number(maxDownloads) : null,
-      downloads_used: 0,
-      expires_at: expiresAt ? new Date(expiresAt).toISOString().slice(0, 10) : null,
-      note: note || '',
-      created_at: nowIso,
-    };
-    db.data.tokens.push(row);
-    created.push({ token });
+  const { changes: policy, error } = parsePolicyFields(req.body || {});
+  if (error) return res.status(400).json({ error });
+  if ((policy.period == null) !== (policy.period_limit == null)) {
+    return res.status(400).json({ error: 'period and periodLimit must be given together' });
   }
-  await db.write();
-  const baseUrl = 'http://43.138.183.172:3001';
-  const links = created.map(x => ({ token: x.token, url: `${baseUrl}/download?token=${encodeURIComponent(x.token)}` }));
-  res.json({ data: links });
+  // Every generation call is one batch; its parameters are recorded once and shared by the tokens
+  const { batch, tokens: created } = createBatch({
+    tokens: Array.from({ length: normalizedCount }, () => nanoid(24)),
+    maxDownloads: maxDownloads != null && maxDownloads !== '' ? Number(maxDownloads) : null,
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString().slice(0, 10) : null,
+    note: note || '',
+    createdBy: req.adminUser || null,
+    policy,
+  });
+  recordAdminAction(req, 'link.create', {
+    target: `batch:${batch.id}`,
+    details: { count: created.length, maxDownloads: batch.max_downloads, expiresAt: batch.expires_at, note: batch.note, policy },
+  });
+  const links = created.map(x => ({ token: x.token, url: downloadLinkFor(req, x.token) }));
+  res.json({ data: links, batchId: batch.id, batch });
 });
 
-// Export a TXT for a given list of tokens (does not create new tokens)
-// POST body: { tokens: string[], count, expiresAt, maxDownloads, note }
-app.post('/api/admin/links/export', requireAdminAuth, async (req, res) => {
-  const { tokens = [], count = null, expiresAt = null, maxDownloads = null, note = '' } = req.body || {};
-  if (!Array.isArray(tokens) || tokens.length === 0) {
+// Export existing links (does not create new tokens), picked by tokens or filter (see selectLinks)
+// POST body: { tokens?: string[], filter?: { q, batchId, status }, format: 'txt' | 'csv' | 'json' | 'xlsx' }
+// TXT keeps the generation-time layout; its header can be set with count, expiresAt, maxDownloads, note.
+app.post('/api/admin/links/export', requireAdmin('operator'), async (req, res) => {
+  const { tokens, format = 'txt', count = null, expiresAt = null, maxDownloads = null, note = '' } = req.body || {};
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+  }
+  if (Array.isArray(tokens) && tokens.length === 0) {
     return res.status(400).json({ error: 'tokens is required' });
   }
-  const baseUrl = 'http://43.138.183.172:3001';
-  const urls = tokens.map(t => `${baseUrl}/download?token=${encodeURIComponent(String(t))}`);
-  // Normalize any localhost links to the public IP for exported TXT
-  const publicHost = '43.138.183.172';
-  const urlsNormalized = urls.map(u => {
-    try {
-      const parsed = new URL(u);
-      if (parsed.hostname === 'localhost' || parsed.hostname === '127.0.0.1') {
-        parsed.hostname = publicHost;
-      }
-      return parsed.toString();
-    } catch (_) {
-      return u.replace('://localhost', `://${publicHost}`).replace('://127.0.0.1', `://${publicHost}`);
-    }
-  });
-  const countLine = count != null ? Number(count) : urlsNormalized.length;
-  const expires = expiresAt ? String(expiresAt) : '不限';
-  const limit = (maxDownloads != null && maxDownloads !== '') ? String(maxDownloads) : '不限';
-  const noteStr = (note || '').trim() || '无';
-  const header = `生成数量：${countLine}，有效期：${expires}，下载次数限制：${limit}，备注：${noteStr}`;
-  const content = [header, ...urlsNormalized].join('\n');
-  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  // An explicit list exported as TXT is written as given, like before formats and filters existed
+  let rows = null;
+  if (!(format === 'txt' && Array.isArray(tokens))) {
+    const selection = selectLinks(req.body);
+    if (selection.error) return res.status(400).json({ error: selection.error });
+    rows = selection.rows;
+  }
   const now = new Date();
-  const fname = `aippt-links-${now.getFullYear()}${String(now.getMonth()+1).padStart(2,'0')}${String(now.getDate()).padStart(2,'0')}-${String(now.getHours()).padStart(2,'0')}${String(now.getMinutes()).padStart(2,'0')}.txt`;
+  const fname = `aippt-links-${now.getFullYear()}${String(now.getMonth()+1).padStart(2,'0')}${String(now.getDate()).padStart(2,'0')}-${String(now.getHours()).padStart(2,'0')}${String(now.getMinutes()).padStart(2,'0')}.${format}`;
   res.setHeader('Content-Disposition', `attachment; filename="${fname}"`);
+  if (format === 'txt') {
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    const list = rows ? rows.map(r => r.token) : tokens;
+    return res.status(200).send(linksTxt(req, list, { count, expiresAt, maxDownloads, note }));
+  }
+  const { contentType, body } = renderLinkExport(format, linkExportRecords(rows, token => downloadLinkFor(req, token)));
+  res.setHeader('Content-Type', contentType);
+  res.status(200).send(body);
+});
+
+// QR code of a link's download URL: ?format=svg|png, scale (pixels per module, 1-40), level (L, M, Q, H)
+app.get('/api/admin/links/:token/qr', requireAdmin('operator'), (req, res) => {
+  const row = getToken(req.params.token);
+  if (!row) return res.status(404).json({ error: 'not found' });
+  const format = String(req.query.format || 'svg');
+  const level = String(req.query.level || 'M').toUpperCase();
+  const scale = Math.min(Math.max(parseInt(req.query.scale, 10) || 8, 1), 40);
+  if (!['svg', 'png'].includes(format)) return res.status(400).json({ error: 'format must be svg or png' });
+  if (!QR_ERROR_LEVELS.includes(level)) return res.status(400).json({ error: `level must be one of ${QR_ERROR_LEVELS.join(', ')}` });
+  const qr = encodeQr(downloadLinkFor(req, row.token), { level });
+  res.setHeader('Cache-Control', 'private, max-age=300');
+  if (format === 'png') {
+    res.type('image/png').send(qrToPng(qr, { scale }));
+  } else {
+    res.type('image/svg+xml').send(qrToSvg(qr, { scale }));
+  }
+});
+
+// Printable cards (QR code, short URL, quota, expiry) for links picked by tokens or filter (see selectLinks)
+// POST body: { tokens?, filter?, format: 'html' | 'pdf', title? }
+app.post('/api/admin/links/cards', requireAdmin('operator'), async (req, res) => {
+  const { format = 'html', title } = req.body || {};
+  if (!['html', 'pdf'].includes(format)) return res.status(400).json({ error: 'format must be html or pdf' });
+  const { rows, error } = selectLinks(req.body);
+  if (error) return res.status(400).json({ error });
+  if (rows.length === 0) return res.status(400).json({ error: 'no links selected' });
+  if (rows.length > MAX_CARDS) return res.status(400).json({ error: `at most ${MAX_CARDS} cards per sheet` });
+  const html = renderCardsHtml(rows.map(row => ({
+    url: shortLinkFor(req, row.token),
+    quota: describeQuota(row),
+    note: row.note,
+  })), { title: title ? String(title) : undefined });
+  if (format === 'html') return res.type('html').send(html);
+  try {
+    const pdf = await renderCardsPdf(html);
+    res.setHeader('Content-Disposition', `attachment; filename="aippt-cards-${Date.now()}.pdf"`);
+    res.type('application/pdf').send(pdf);
+  } catch (err) {
+    req.log.error('card PDF render failed', { error: err });
+    res.status(500).json({ error: 'PDF render failed' });
+  }
+});
+
+// Batches: one per generation call, with aggregate usage of their tokens
+app.get('/api/admin/batches', requireAdmin('operator'), (req, res) => {
+  res.json({ data: listBatches() });
+});
+
+app.get('/api/admin/batches/:id', requireAdmin('operator'), (req, res) => {
+  const batch = getBatch(req.params.id);
+  if (!batch) return res.status(404).json({ error: 'batch not found' });
+  res.json({ data: batch, tokens: listTokens({ batchId: batch.id }) });
+});
+
+// Re-export a batch's links: TXT as at generation time, or ?format=csv|json|xlsx
+app.get('/api/admin/batches/:id/export', requireAdmin('operator'), (req, res) => {
+  const batch = getBatch(req.params.id);
+  if (!batch) return res.status(404).json({ error: 'batch not found' });
+  const format = String(req.query.format || 'txt');
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+  }
+  const rows = listTokens({ batchId: batch.id }).reverse();
+  if (format !== 'txt') {
+    const { contentType, body } = renderLinkExport(format, linkExportRecords(rows, token => downloadLinkFor(req, token)));
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="aippt-links-batch-${batch.id}.${format}"`);
+    return res.status(200).send(body);
+  }
+  const tokens = rows.map(t => t.token);
+  const content = linksTxt(req, tokens, {
+    count: tokens.length,
+    expiresAt: batch.expires_at,
+    maxDownloads: batch.max_downloads,
+    note: batch.note,
+  });
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="aippt-links-batch-${batch.id}.txt"`);
   res.status(200).send(content);
 });
 
+// Revoke: disable every token in the batch (individual tokens can still be re-enabled)
+app.post('/api/admin/batches/:id/revoke', requireAdmin('operator'), (req, res) => {
+  const batch = getBatch(req.params.id);
+  if (!batch) return res.status(404).json({ error: 'batch not found' });
+  const disabled = revokeBatch(batch.id);
+  recordAdminAction(req, 'batch.revoke', { target: `batch:${batch.id}`, details: { disabled } });
+  res.json({ ok: true, disabled, data: getBatch(batch.id) });
+});
+
 // User APIs
-app.get('/api/token/:token', async (req, res) => {
+app.get('/api/token/:token', limitRequests(), async (req, res) => {
   const { token } = req.params;
-  await db.read();
-  const row = db.data.tokens.find(t => t.token === token);
+  const row = getToken(token);
   const validity = isTokenValid(row);
-  if (!validity.ok) return res.status(404).json({ valid: false });
-  const max = row.max_downloads != null ? Number(row.max_downloads) : null;
-  const used = Number(row.downloads_used || 0);
-  const remaining = max != null ? Math.max(0, max - used) : null;
+  // Per-period caps and cooldowns only pause a token: it stays valid and reports when it can be used again
+  if (!validity.ok && !isTemporaryRefusal(validity)) {
+    const refusal = refusalError(validity.reason);
+    return res.status(refusal.status).json({ valid: false, reason: validity.reason, code: refusal.code, error: refusal.publicMessage });
+  }
+  // A link bound to other clients stays valid for them, so it is reported as unavailable here rather than invalid
+  const binding = validity.ok ? checkClientBinding(row, identifyClient(req)) : validity;
   res.json({
     valid: true,
+    available: binding.ok,
+    reason: binding.ok ? null : binding.reason,
+    code: binding.ok ? null : refusalError(binding.reason).code,
+    message: binding.ok ? null : refusalError(binding.reason).publicMessage,
+    retry_at: validity.retryAt || null,
     token: row.token,
-    downloads_used: used,
-    max_downloads: max,
-    remaining,
-    expires_at: row.expires_at || null,
+    ...describeQuota(row),
     note: row.note || ''
   });
 });
 
-app.post('/api/download/:token', async (req, res) => {
+app.post('/api/download/:token', limitRequests(req => req.params.token), async (req, res) => {
   const { token } = req.params;
-  await db.read();
-  const row = db.data.tokens.find(t => t.token === token);
-  const validity = isTokenValid(row);
-  if (!validity.ok) {
-    return res.status(400).json({ error: '该链接无效或已过期/次数已用完' });
-  }
-  // Increment usage
-  const idx = db.data.tokens.findIndex(t => t.id === row.id);
-  if (idx >= 0) {
-    db.data.tokens[idx].downloads_used += 1;
-    // stats: increment downloads
-    db.data.stats = db.data.stats || { totalDownloads: 0, totalBytes: 0 };
-    db.data.stats.totalDownloads += 1;
-    await db.write();
+  const attempt = startDownloadAttempt(req, { token, url: null, route: 'demo' });
+  const reservation = reserveQuota(token, { route: 'demo', client: identifyClient(req) });
+  if (!reservation.ok) {
+    attempt.finish({ outcome: 'rejected', error: reservation.reason, code: refusalError(reservation.reason).code });
+    return sendQuotaRefusal(res, reservation);
   }
 
   // Demo file: generate a simple text file as attachment
@@ -260,75 +716,83 @@ app.post('/api/download/:token', async (req, res) => {
   res.status(200);
   const content = '这是一个示例文件。实际集成可替换为从 aippt.cn 自动化下载的内容。';
   const buf = Buffer.from(content, 'utf-8');
+  trackDelivery(res, attempt, { filename }, () => buf.length, { reservation, countsQuota: true });
   res.write(buf);
   res.end();
-  // update bytes after response sent
-  try {
-    await db.read();
-    db.data.stats = db.data.stats || { totalDownloads: 0, totalBytes: 0 };
-    db.data.stats.totalBytes += buf.length;
-    await db.write();
-  } catch (_) {}
 });
 
 // Automated download from aippt.cn by URL (requires valid token via query)
 // GET /api/aippt-download?token=...&url=...&headful=true
-app.get('/api/aippt-download', async (req, res) => {
+app.get('/api/aippt-download', limitRequests(resolveRequestToken), async (req, res) => {
   const { token, url } = req.query;
-  if (!token || !url) return res.status(400).json({ error: 'missing token or url' });
-  await db.read();
-  const row = db.data.tokens.find(t => t.token === token);
-  const validity = isTokenValid(row);
-  if (!validity.ok) return res.status(400).json({ error: '该链接无效或已过期/次数已用完' });
+  if (!token) return sendDownloadError(res, new DownloadError('TOKEN_MISSING', 'missing token'));
+  if (!url) return sendDownloadError(res, new DownloadError('URL_MISSING', 'missing url'));
+  const attempt = startDownloadAttempt(req, { token: String(token), input: String(url), route: 'GET /api/aippt-download' });
+  const reservation = reserveQuota(String(token), { route: 'GET /api/aippt-download', client: identifyClient(req) });
+  if (!reservation.ok) {
+    attempt.finish({ outcome: 'rejected', error: reservation.reason, code: refusalError(reservation.reason).code });
+    return sendQuotaRefusal(res, reservation);
+  }
+  const templateUrl = await checkTemplateUrl(url, attempt, res, reservation);
+  if (!templateUrl) return;
   try {
-    const { filePath, filename, cleanup } = await downloadAipptTemplate(String(url), { headless: true });
-    // increment usage
-    const idx = db.data.tokens.findIndex(t => t.id === row.id);
-    if (idx >= 0) {
-      db.data.tokens[idx].downloads_used += 1;
-      await db.write();
-    }
+    const result = await obtainTemplate(templateUrl, {
+      queueKey: String(token),
+      log: req.log.child({ token: maskToken(token) }),
+      diagnostics: { requestId: req.id, token: maskToken(token) },
+    });
+    const { filePath, filename, cleanup } = result;
     res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(filename)}"`);
     res.setHeader('Content-Type', 'application/octet-stream');
     const stream = fs.createReadStream(filePath);
     stream.on('close', () => cleanup());
     let sentBytes = 0;
     stream.on('data', (chunk) => { sentBytes += chunk.length; });
+    stream.on('error', (err) => {
+      attempt.finish({ outcome: 'failed', filename, bytes: sentBytes, cached: result.cached, error: err.message, code: 'TRANSFER_ABORTED' });
+      reservation.release();
+      if (!res.headersSent) sendDownloadError(res, new DownloadError('TRANSFER_ABORTED', err.message));
+      else res.destroy(err);
+    });
+    trackDelivery(res, attempt, { filename, cached: result.cached }, () => sentBytes, { reservation, countsQuota: countsAgainstQuota(result) });
     stream.pipe(res);
   } catch (err) {
-    return res.status(500).json({ error: err.message || '下载失败' });
+    const failure = toDownloadError(err);
+    req.log.warn('download failed', { token: maskToken(token), code: failure.code, error: err });
+    reservation.release();
+    attempt.finish({ outcome: 'failed', error: failure.message, code: failure.code });
+    return sendDownloadError(res, failure);
   }
 });
 
 // POST /api/aippt-download  (body: url=...)  Token parsed from Referer of /download?token=...
-app.post('/api/aippt-download', async (req, res) => {
+app.post('/api/aippt-download', limitRequests(resolveRequestToken), async (req, res) => {
   const startTime = Date.now();
-  console.log('[timing] POST /api/aippt-download started:', startTime);
+  let log = req.log;
+  let attempt = null;
+  let reservation = null;
   
   try {
     const url = (req.body && (req.body.url || req.body["url"])) || '';
-    if (!url) return res.status(400).json({ error: 'missing url' });
+    if (!url) return sendDownloadError(res, new DownloadError('URL_MISSING', 'missing url'));
     // Validate token from Referer or query
-    let tokenFromReferer = null;
-    try {
-      const ref = req.headers.referer || req.headers.referrer || '';
-      if (ref) {
-        const u = new URL(ref);
-        tokenFromReferer = u.searchParams.get('token');
-      }
-    } catch (_) {}
-    const token = (req.query && req.query.token) || tokenFromReferer || null;
-    if (!token) return res.status(401).json({ error: 'missing token' });
-    await db.read();
-    const row = db.data.tokens.find(t => t.token === token);
-    const validity = isTokenValid(row);
-    if (!validity.ok) {
-      return res.status(400).json({ error: '该链接无效或已过期/次数已用完' });
+    const token = resolveRequestToken(req);
+    if (!token) return sendDownloadError(res, new DownloadError('TOKEN_MISSING', 'missing token'));
+    log = req.log.child({ token: maskToken(token) });
+    attempt = startDownloadAttempt(req, { token, input: String(url), route: 'POST /api/aippt-download' });
+    const held = reserveQuota(token, { route: 'POST /api/aippt-download', client: identifyClient(req) });
+    if (!held.ok) {
+      attempt.finish({ outcome: 'rejected', error: held.reason, code: refusalError(held.reason).code });
+      return sendQuotaRefusal(res, held);
     }
+    reservation = held;
+    const templateUrl = await checkTemplateUrl(url, attempt, res, reservation);
+    if (!templateUrl) return;
 
-    console.log('[timing] Starting template download:', Date.now() - startTime, 'ms');
-    const { filePath, filename, cleanup } = await downloadAipptTemplate(String(url), { headless: true });
-    console.log('[timing] Template downloaded, starting file transfer:', Date.now() - startTime, 'ms');
+    log.debug('template download started', { url: templateUrl });
+    const result = await obtainTemplate(templateUrl, { queueKey: token, log, diagnostics: { requestId: req.id, token: maskToken(token) } });
+    const { filePath, filename, cleanup } = result;
+    log.info('template ready, starting transfer', { ms: Date.now() - startTime, cached: result.cached });
     
     // Set response headers
     res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(filename)}"`);
@@ -342,103 +806,590 @@ app.post('/api/aippt-download', async (req, res) => {
     try {
       const stats = fs.statSync(filePath);
       res.setHeader('Content-Length', stats.size);
-      console.log('[timing] File size:', stats.size, 'bytes');
     } catch (err) {
-      console.log('[timing] Could not get file size:', err.message);
+      log.warn('could not get file size', { error: err.message });
     }
     
     // Add timeout to prevent hanging
     const transferTimeout = setTimeout(() => {
       if (!res.headersSent) {
-        console.log('[timing] Transfer timeout, cleaning up');
+        log.warn('transfer timeout, cleaning up', { ms: Date.now() - startTime });
+        reservation.release();
         cleanup();
-        res.status(408).json({ error: 'Transfer timeout' });
+        sendDownloadError(res, new DownloadError('TRANSFER_TIMEOUT'));
       }
-    }, 30000); // 30 second timeout
+    }, config.TRANSFER_TIMEOUT_MS);
     
     const stream = fs.createReadStream(filePath);
     let sentBytes = 0;
-    let transferStartTime = Date.now();
-    
-    stream.on('open', () => {
-      console.log('[timing] File stream opened:', Date.now() - startTime, 'ms');
-    });
     
-    stream.on('data', (chunk) => { 
-      sentBytes += chunk.length;
-      if (sentBytes % 1024 === 0) { // Log every 1KB
-        console.log('[timing] Transferred:', sentBytes, 'bytes, elapsed:', Date.now() - transferStartTime, 'ms');
-      }
-    });
+    stream.on('data', (chunk) => { sentBytes += chunk.length; });
     
     stream.on('end', () => {
-      console.log('[timing] File transfer completed:', Date.now() - startTime, 'ms, total bytes:', sentBytes);
+      log.info('file transfer completed', { ms: Date.now() - startTime, bytes: sentBytes });
       clearTimeout(transferTimeout);
     });
     
     stream.on('error', (err) => {
-      console.log('[timing] Stream error:', err.message, Date.now() - startTime, 'ms');
+      log.warn('file stream error', { error: err, ms: Date.now() - startTime });
+      attempt.finish({ outcome: 'failed', filename, bytes: sentBytes, cached: result.cached, error: err.message, code: 'TRANSFER_ABORTED' });
+      reservation.release();
       clearTimeout(transferTimeout);
       cleanup();
       if (!res.headersSent) {
-        res.status(500).json({ error: 'File transfer error' });
+        sendDownloadError(res, new DownloadError('TRANSFER_ABORTED', err.message));
+      } else {
+        res.destroy(err);
       }
     });
     
     // Handle client disconnect
     res.on('close', () => {
-      console.log('[timing] Client disconnected, cleaning up');
+      log.debug('response closed, cleaning up');
       clearTimeout(transferTimeout);
       cleanup();
     });
     
+    // The reserved download is only used up once the whole file has reached the client
+    trackDelivery(res, attempt, { filename, cached: result.cached }, () => sentBytes, { reservation, countsQuota: countsAgainstQuota(result) });
     stream.pipe(res);
-    
-    // increment usage after piping starts
-    const idx = db.data.tokens.findIndex(t => t && row && t.id === row.id);
-    if (idx >= 0) {
-      db.data.tokens[idx].downloads_used += 1;
-      // stats: increment downloads & bytes after response ends
-      db.data.stats = db.data.stats || { totalDownloads: 0, totalBytes: 0 };
-      db.data.stats.totalDownloads += 1;
-      await db.write();
-      res.on('finish', async () => {
-        console.log('[timing] Response finished, updating stats:', Date.now() - startTime, 'ms');
-        try {
-          await db.read();
-          db.data.stats = db.data.stats || { totalDownloads: 0, totalBytes: 0 };
-          db.data.stats.totalBytes += sentBytes;
-          await db.write();
-        } catch (_) {}
+  } catch (err) {
+    const failure = toDownloadError(err);
+    log.warn('download failed', { code: failure.code, error: err, ms: Date.now() - startTime });
+    if (reservation) reservation.release();
+    if (attempt) attempt.finish({ outcome: 'failed', error: failure.message, code: failure.code });
+    return sendDownloadError(res, failure);
+  }
+});
+
+// Download jobs: submit returns immediately, progress via polling or SSE, file fetched separately
+// POST /api/jobs  (body: { url, token })
+app.post('/api/jobs', limitRequests(resolveRequestToken), async (req, res) => {
+  const url = (req.body && req.body.url) || '';
+  if (!url) return sendDownloadError(res, new DownloadError('URL_MISSING', 'missing url'));
+  const token = resolveRequestToken(req);
+  if (!token) return sendDownloadError(res, new DownloadError('TOKEN_MISSING', 'missing token'));
+  const attempt = startDownloadAttempt(req, { token, input: String(url), route: 'POST /api/jobs' });
+  const reservation = reserveQuota(token, { route: 'POST /api/jobs', client: identifyClient(req) });
+  if (!reservation.ok) {
+    attempt.finish({ outcome: 'rejected', error: reservation.reason, code: refusalError(reservation.reason).code });
+    return sendQuotaRefusal(res, reservation);
+  }
+  const templateUrl = await checkTemplateUrl(url, attempt, res, reservation);
+  if (!templateUrl) return;
+  const job = createJob({ token, url: templateUrl }, async ({ setStage, setQueuePosition, job: running }) => {
+    return obtainTemplate(templateUrl, {
+      queueKey: token,
+      log: req.log.child({ token: maskToken(token), jobId: running.id }),
+      diagnostics: { id: running.id, requestId: req.id, token: maskToken(token) },
+      onQueue: setQueuePosition,
+      onStage: setStage,
+    });
+  });
+  // The attempt and the reserved download span submit to delivery; the file route settles them, or here on failure/expiry
+  job.attempt = attempt;
+  job.reservation = reservation;
+  job.events.on('update', ({ job: snapshot }) => {
+    if (snapshot.state !== 'failed') return;
+    attempt.finish({ outcome: 'failed', error: job.failure.message, code: job.failure.code });
+    reservation.release();
+  });
+  job.events.once('expired', () => reservation.release());
+  res.status(202).json({ jobId: job.id, job: publicJob(job) });
+});
+
+function findJobForRequest(req, res) {
+  const job = getJob(req.params.id);
+  const token = resolveRequestToken(req);
+  if (!job || job.token !== token) {
+    sendDownloadError(res, new DownloadError('JOB_NOT_FOUND', 'job not found'));
+    return null;
+  }
+  return job;
+}
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = findJobForRequest(req, res);
+  if (!job) return;
+  res.json({ job: publicJob(job) });
+});
+
+// Server-Sent Events: pushes `stage` and `progress` events until the file is delivered or the job fails
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = findJobForRequest(req, res);
+  if (!job) return;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  send('stage', publicJob(job));
+  if (job.state === 'failed' || job.delivered) return res.end();
+  const onUpdate = ({ event, job: snapshot }) => {
+    send(event, snapshot);
+    if (snapshot.state === 'failed' || snapshot.delivered) {
+      cleanupListeners();
+      res.end();
+    }
+  };
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  function cleanupListeners() {
+    clearInterval(heartbeat);
+    job.events.off('update', onUpdate);
+  }
+  job.events.on('update', onUpdate);
+  req.on('close', cleanupListeners);
+});
+
+// Fetch the finished file; usage is counted once the whole file has been sent
+app.get('/api/jobs/:id/file', async (req, res) => {
+  const job = findJobForRequest(req, res);
+  if (!job) return;
+  if (!isTerminal(job)) return sendDownloadError(res, new DownloadError('JOB_NOT_READY', 'job not ready'), { job: publicJob(job) });
+  if (job.state === 'failed') return sendDownloadError(res, job.failure);
+  if (job.delivered || !job.filePath) return sendDownloadError(res, new DownloadError('FILE_DELIVERED', 'file already delivered'));
+  const row = getToken(job.token);
+  const validity = isTokenValid(row, { reservationId: job.reservation.id });
+  if (!validity.ok) {
+    job.reservation.release();
+    job.attempt.finish({
+      outcome: 'rejected', filename: job.filename, cached: job.cached, error: validity.reason, code: refusalError(validity.reason).code,
+    });
+    return sendQuotaRefusal(res, validity);
+  }
+  res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(job.filename)}"`);
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.presentationml.presentation');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  if (job.size != null) res.setHeader('Content-Length', job.size);
+  const stream = fs.createReadStream(job.filePath);
+  let sentBytes = 0;
+  stream.on('data', (chunk) => {
+    sentBytes += chunk.length;
+    reportTransfer(job, sentBytes);
+  });
+  stream.on('error', (err) => {
+    req.log.warn('job file stream error', { jobId: job.id, error: err });
+    job.attempt.finish({ outcome: 'failed', filename: job.filename, bytes: sentBytes, cached: job.cached, error: err.message, code: 'TRANSFER_ABORTED' });
+    if (!res.headersSent) sendDownloadError(res, new DownloadError('TRANSFER_ABORTED', err.message));
+    else res.destroy(err);
+  });
+  // An aborted fetch keeps the reservation: the job's file can be fetched again until the job expires
+  trackDelivery(res, job.attempt, { filename: job.filename, cached: job.cached }, () => sentBytes,
+    { reservation: job.reservation, countsQuota: countsAgainstQuota(job), keepOnAbort: true });
+  res.on('finish', () => markDelivered(job));
+  stream.pipe(res);
+});
+
+// Several templates as one ZIP: POST /api/batch-download  (body: { urls: [...] or one per line, token })
+// Invalid URLs are reported in the manifest; the rest must fit in the token's remaining downloads or nothing starts.
+// Templates are fetched one after another and each one delivered uses one download once the whole ZIP is sent.
+app.post('/api/batch-download', limitRequests(resolveRequestToken), async (req, res) => {
+  const route = 'POST /api/batch-download';
+  const urls = parseBatchUrls(req.body && req.body.urls);
+  if (!urls.length) return sendDownloadError(res, new DownloadError('URL_MISSING', 'missing urls'));
+  if (urls.length > config.BATCH_MAX_URLS) {
+    return sendDownloadError(res, new DownloadError('BATCH_TOO_LARGE', `${urls.length} urls, at most ${config.BATCH_MAX_URLS}`));
+  }
+  const token = resolveRequestToken(req);
+  if (!token) return sendDownloadError(res, new DownloadError('TOKEN_MISSING', 'missing token'));
+  const log = req.log.child({ token: maskToken(token) });
+
+  const items = [];
+  for (const url of urls) {
+    try {
+      items.push({ url, templateUrl: await validateTemplateUrl(url) });
+    } catch (err) {
+      const failure = toDownloadError(err);
+      startDownloadAttempt(req, { token, input: url, route }).finish({ outcome: 'rejected', error: failure.code, code: failure.code });
+      items.push({ url, failure });
+    }
+  }
+  const pending = items.filter(item => item.templateUrl);
+  if (!pending.length) return sendDownloadError(res, items[0].failure);
+  const held = reserveQuotaBatch(token, pending.length, { route, client: identifyClient(req) });
+  if (!held.ok) {
+    startDownloadAttempt(req, { token, url: null, route })
+      .finish({ outcome: 'rejected', error: held.reason, code: refusalError(held.reason).code });
+    return sendQuotaRefusal(res, held);
+  }
+  pending.forEach((item, i) => { item.reservation = held.reservations[i]; });
+
+  res.setHeader('Content-Disposition', `attachment; filename="${batchArchiveName()}"`);
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const zip = createZipStream(res);
+  const usedNames = new Set();
+  log.info('batch download started', { urls: items.length, pending: pending.length });
+  for (const item of pending) {
+    // Client gone: what is left is handed back; delivered entries are released by trackDelivery
+    if (closed) {
+      item.reservation.release();
+      continue;
+    }
+    const attempt = startDownloadAttempt(req, { token, url: item.templateUrl, input: item.url, route });
+    try {
+      const result = await obtainTemplate(item.templateUrl, {
+        queueKey: token,
+        log: log.child({ url: item.templateUrl }),
+        diagnostics: { requestId: req.id, token: maskToken(token) },
       });
+      let data;
+      try {
+        data = await fs.promises.readFile(result.filePath);
+      } finally {
+        result.cleanup();
+      }
+      if (closed) {
+        item.reservation.release();
+        attempt.finish({ outcome: 'aborted', error: 'client disconnected' });
+        continue;
+      }
+      const name = archiveEntryName(result.filename, usedNames);
+      const size = data.length;
+      trackDelivery(res, attempt, { filename: name, cached: result.cached }, () => size,
+        { reservation: item.reservation, countsQuota: countsAgainstQuota(result) });
+      await zip.add({ name, data, store: isStoredFormat(name) });
+      Object.assign(item, { file: name, size, cached: result.cached });
+    } catch (err) {
+      item.reservation.release();
+      // zip.add fails once the client has gone
+      if (closed) {
+        attempt.finish({ outcome: 'aborted', error: 'client disconnected' });
+        continue;
+      }
+      const failure = toDownloadError(err);
+      log.warn('batch item failed', { url: item.templateUrl, code: failure.code, error: err });
+      attempt.finish({ outcome: 'failed', error: failure.message, code: failure.code });
+      item.failure = failure;
     }
+  }
+  if (closed) return;
+  const manifest = batchManifest(items);
+  try {
+    await zip.add({ name: MANIFEST_NAME, data: JSON.stringify(manifest, null, 2) });
   } catch (err) {
-    console.log('[timing] Download error:', err.message, Date.now() - startTime, 'ms');
-    return res.status(500).json({ error: err.message || '下载失败' });
+    log.debug('client disconnected before the manifest', { error: err });
+    return;
+  }
+  zip.end();
+  log.info('batch download finished', { succeeded: manifest.succeeded, failed: manifest.failed });
+});
+
+// Download history: filter by token, date range (from/to) and outcome; format=csv exports every match
+app.get('/api/admin/downloads', requireAdmin('operator'), async (req, res) => {
+  const { token, from, to, outcome, page, pageSize, format } = req.query;
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && isNaN(new Date(String(value)).getTime())) {
+      return res.status(400).json({ error: `${name} must be a valid date (YYYY-MM-DD)` });
+    }
   }
+  if (outcome && !DOWNLOAD_OUTCOMES.includes(String(outcome))) {
+    return res.status(400).json({ error: `outcome must be one of ${DOWNLOAD_OUTCOMES.join(', ')}` });
+  }
+  const filters = {
+    token: token ? String(token) : null,
+    from: from ? String(from) : null,
+    to: to ? String(to) : null,
+    outcome: outcome ? String(outcome) : null,
+  };
+  if (String(format || '').toLowerCase() === 'csv') {
+    const now = new Date();
+    const fname = `aippt-downloads-${now.toISOString().slice(0, 10).replace(/-/g, '')}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fname}"`);
+    return res.status(200).send(downloadsToCsv(exportDownloads(filters)));
+  }
+  const result = queryDownloads({ ...filters, page, pageSize });
+  res.json({ data: result.data, total: result.total, page: result.page, pageSize: result.pageSize });
+});
+
+// Template cache management
+app.get('/api/admin/cache', requireAdmin('operator'), (req, res) => {
+  res.json(listCachedTemplates());
+});
+
+// DELETE /api/admin/cache purges everything; /api/admin/cache/:id removes one entry
+app.delete('/api/admin/cache', requireAdmin('operator'), (req, res) => {
+  const removed = purgeCachedTemplates();
+  recordAdminAction(req, 'cache.purge', { details: { removed } });
+  res.json({ ok: true, removed });
+});
+
+app.delete('/api/admin/cache/:id', requireAdmin('operator'), (req, res) => {
+  const removed = purgeCachedTemplates(req.params.id);
+  if (!removed) return res.status(404).json({ error: 'not found' });
+  recordAdminAction(req, 'cache.purge', { target: req.params.id, details: { removed } });
+  res.json({ ok: true, removed });
+});
+
+// Failure diagnostics (DIAGNOSTICS_ENABLED): screenshot, HTML and trace of failed browser downloads, by job or request
+const OWNER_DIAGNOSTIC_FILES = new Set(['page.html', 'trace.zip']);
+
+app.get('/api/admin/diagnostics', requireAdmin('operator'), (req, res) => {
+  res.json({ enabled: diagnosticsEnabled(), data: listDiagnostics() });
+});
+
+app.get('/api/admin/diagnostics/:id', requireAdmin('operator'), (req, res) => {
+  const entry = getDiagnostic(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'not found' });
+  res.json({ data: entry });
+});
+
+// Shown in the browser by default, ?download=1 saves it; the captured page is sandboxed so its scripts never run here
+// page.html and trace.zip can show the signed-in aippt.cn account, so like the accounts themselves they are owner-only
+app.get('/api/admin/diagnostics/:id/files/:name', requireAdmin('operator'), (req, res) => {
+  const file = diagnosticFilePath(req.params.id, req.params.name);
+  if (!file) return res.status(404).json({ error: 'not found' });
+  if (OWNER_DIAGNOSTIC_FILES.has(req.params.name) && !roleAllows(req.admin.role, 'owner')) {
+    return res.status(403).json({ error: '权限不足' });
+  }
+  res.setHeader('Content-Type', DIAGNOSTIC_FILES[req.params.name]);
+  res.setHeader('Content-Security-Policy', 'sandbox');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  const disposition = req.query.download || req.params.name === 'trace.zip' ? 'attachment' : 'inline';
+  res.setHeader('Content-Disposition', `${disposition}; filename="${req.params.id}-${req.params.name}"`);
+  fs.createReadStream(file).pipe(res);
+});
+
+app.delete('/api/admin/diagnostics/:id', requireAdmin('operator'), (req, res) => {
+  if (!deleteDiagnostic(req.params.id)) return res.status(404).json({ error: 'not found' });
+  recordAdminAction(req, 'diagnostics.delete', { target: req.params.id });
+  res.json({ ok: true });
+});
+
+// aippt.cn account pool (passwords are write-only)
+app.get('/api/admin/accounts', requireAdmin('owner'), (req, res) => {
+  res.json({ data: listAccounts() });
+});
+
+app.post('/api/admin/accounts', requireAdmin('owner'), (req, res) => {
+  const { provider = 'aippt', label, username, password, dailyLimit = null, enabled = true } = req.body || {};
+  if (!username || !password) return res.status(400).json({ error: 'username and password are required' });
+  if (!getAdapter(String(provider))) return res.status(400).json({ error: `unknown provider ${provider}` });
+  if (dailyLimit != null && dailyLimit !== '' && !(Number(dailyLimit) >= 0)) {
+    return res.status(400).json({ error: 'dailyLimit must be a non-negative number' });
+  }
+  try {
+    const account = createAccount({ provider: String(provider), label, username, password, dailyLimit, enabled });
+    recordAdminAction(req, 'account.create', { target: account.id, details: { provider, label, username, dailyLimit, enabled } });
+    res.json({ data: account });
+  } catch (err) {
+    res.status(409).json({ error: err.message });
+  }
+});
+
+// PATCH body: { label?, password?, dailyLimit?, enabled?, resetHealth? }
+app.patch('/api/admin/accounts/:id', requireAdmin('owner'), (req, res) => {
+  const { label, password, dailyLimit, enabled, resetHealth } = req.body || {};
+  if (dailyLimit != null && dailyLimit !== '' && !(Number(dailyLimit) >= 0)) {
+    return res.status(400).json({ error: 'dailyLimit must be a non-negative number' });
+  }
+  const account = updateAccount(req.params.id, { label, password, dailyLimit, enabled, resetHealth });
+  if (!account) return res.status(404).json({ error: 'not found' });
+  recordAdminAction(req, 'account.update', {
+    target: account.id,
+    details: { label, dailyLimit, enabled, resetHealth, passwordChanged: !!password },
+  });
+  res.json({ data: account });
+});
+
+app.delete('/api/admin/accounts/:id', requireAdmin('owner'), (req, res) => {
+  if (!deleteAccount(req.params.id)) return res.status(404).json({ error: 'not found' });
+  recordAdminAction(req, 'account.delete', { target: req.params.id });
+  res.json({ ok: true });
+});
+
+// Template site adapters with their effective selectors (defaults merged with the selectors file)
+app.get('/api/admin/adapters', requireAdmin('operator'), (req, res) => {
+  res.json({ data: listAdapters(), selectorsFile: selectorsFilePath() });
+});
+
+// aippt.cn login sessions: token expiry per account, background refresh status
+app.get('/api/admin/session', requireAdmin('owner'), (req, res) => {
+  res.json(getSessionStatus());
+});
+
+// Force a fresh login; body { accountId } for one account, empty for every enabled account
+app.post('/api/admin/session/relogin', requireAdmin('owner'), async (req, res) => {
+  const { accountId = null } = req.body || {};
+  const ids = accountId
+    ? [String(accountId)]
+    : listAccounts().filter(a => a.enabled).map(a => a.id);
+  if (accountId && !listAccounts().some(a => a.id === accountId)) {
+    return res.status(404).json({ error: 'not found' });
+  }
+  recordAdminAction(req, 'session.relogin', { details: { accounts: ids } });
+  const results = await Promise.allSettled(ids.map(id => reloginAccount(id)));
+  const data = results.map((r, i) => (r.status === 'fulfilled'
+    ? { accountId: ids[i], ok: true, session: r.value }
+    : { accountId: ids[i], ok: false, error: r.reason && r.reason.message }));
+  res.status(data.every(d => d.ok) ? 200 : 502).json({ data });
 });
 
 // Admin stats
-app.get('/api/admin/stats', requireAdminAuth, async (req, res) => {
-  await db.read();
-  const s = db.data.stats || { totalDownloads: 0, totalBytes: 0 };
+app.get('/api/admin/stats', requireAdmin('viewer'), async (req, res) => {
+  const s = getStats();
   res.json({
     totalDownloads: s.totalDownloads || 0,
     totalBytes: s.totalBytes || 0
   });
 });
 
+// Download analytics for the dashboard; per-token and per-batch rankings are left out for viewers
+app.get('/api/admin/stats/analytics', requireAdmin('viewer'), (req, res) => {
+  const { from, to, bucket, tz } = req.query;
+  let range;
+  try {
+    range = resolveRange({
+      from: from ? String(from) : null,
+      to: to ? String(to) : null,
+      bucket: bucket ? String(bucket) : null,
+      tz: tz != null ? String(tz) : null,
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  res.json(downloadAnalytics(range, { includeTokens: roleAllows(req.admin.role, 'operator') }));
+});
+
+// Admin login; failed attempts count towards the per-IP lockout
+app.post('/api/admin/login', limitRequests(), async (req, res) => {
+  const { username = '', password = '' } = req.body || {};
+  if (!username || !password) return res.status(400).json({ error: '请输入用户名和密码' });
+  const session = await login(String(username), String(password), { ip: clientIp(req), userAgent: req.get('user-agent') });
+  if (!session) {
+    recordAdminAction(req, 'auth.login_failed', { username });
+    return res.status(401).json({ error: '用户名或密码错误' });
+  }
+  req.admin = { id: session.user.id, username: session.user.username, role: session.user.role };
+  recordAdminAction(req, 'auth.login');
+  res.set('Set-Cookie', sessionCookie(req, session.cookie));
+  res.json({ data: session.user, csrfToken: session.csrfToken });
+});
+
+app.post('/api/admin/logout', requireAdmin('viewer'), (req, res) => {
+  logout(readCookie(req, SESSION_COOKIE));
+  recordAdminAction(req, 'auth.logout');
+  res.set('Set-Cookie', sessionCookie(req, '', { clear: true }));
+  res.json({ ok: true });
+});
+
+// The signed-in user and the CSRF token the admin page sends back on every change
+app.get('/api/admin/me', requireAdmin('viewer'), (req, res) => {
+  const session = resolveSession(readCookie(req, SESSION_COOKIE));
+  res.json({ data: req.admin, csrfToken: session.csrf_token });
+});
+
+// body: { currentPassword, newPassword }; signs the user out everywhere
+app.post('/api/admin/me/password', requireAdmin('viewer'), async (req, res) => {
+  const { currentPassword = '', newPassword = '' } = req.body || {};
+  if (String(newPassword).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `newPassword must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  if (!(await changeOwnPassword(req.admin.username, String(currentPassword), String(newPassword)))) {
+    return res.status(400).json({ error: '当前密码错误' });
+  }
+  recordAdminAction(req, 'user.password', { target: req.admin.id });
+  res.set('Set-Cookie', sessionCookie(req, '', { clear: true }));
+  res.json({ ok: true });
+});
+
+// Admin users (owners only)
+app.get('/api/admin/users', requireAdmin('owner'), (req, res) => {
+  res.json({ data: listAdminUsers() });
+});
+
+app.post('/api/admin/users', requireAdmin('owner'), async (req, res) => {
+  const { username = '', password = '', role = 'viewer' } = req.body || {};
+  if (!/^[\w.@-]{2,64}$/.test(String(username))) {
+    return res.status(400).json({ error: 'username must be 2-64 letters, digits or ._@-' });
+  }
+  if (String(password).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  if (!ADMIN_ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ADMIN_ROLES.join(', ')}` });
+  try {
+    const user = await createAdminUser({ username: String(username), password: String(password), role });
+    recordAdminAction(req, 'user.create', { target: user.id, details: { username: user.username, role } });
+    res.json({ data: user });
+  } catch (err) {
+    res.status(409).json({ error: err.message });
+  }
+});
+
+// PATCH body: { role?, disabled?, password? }
+app.patch('/api/admin/users/:id', requireAdmin('owner'), async (req, res) => {
+  const { role, disabled, password } = req.body || {};
+  if (role != null && !ADMIN_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of ${ADMIN_ROLES.join(', ')}` });
+  }
+  if (password != null && String(password).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  try {
+    const user = await updateAdminUserAccount(req.params.id, {
+      role: role || undefined,
+      disabled: disabled == null ? undefined : disabled === true || disabled === 'true',
+      password: password ? String(password) : undefined,
+    });
+    if (!user) return res.status(404).json({ error: 'not found' });
+    recordAdminAction(req, 'user.update', { target: user.id, details: { role, disabled, passwordChanged: !!password } });
+    res.json({ data: user });
+  } catch (err) {
+    res.status(409).json({ error: err.message });
+  }
+});
+
+app.delete('/api/admin/users/:id', requireAdmin('owner'), (req, res) => {
+  try {
+    if (!deleteAdminUserAccount(req.params.id)) return res.status(404).json({ error: 'not found' });
+  } catch (err) {
+    return res.status(409).json({ error: err.message });
+  }
+  recordAdminAction(req, 'user.delete', { target: req.params.id });
+  res.json({ ok: true });
+});
+
+// Audit log: ?page&pageSize&username&action (action prefix, e.g. "link.")
+app.get('/api/admin/audit', requireAdmin('owner'), (req, res) => {
+  const { page, pageSize, username, action } = req.query;
+  res.json(queryAuditLog({ page, pageSize, username: username ? String(username) : '', action: action ? String(action) : '' }));
+});
+
+// Effective configuration with each value's source; secrets are masked
+app.get('/api/admin/config', requireAdmin('owner'), (req, res) => {
+  res.json(redactedConfig());
+});
+
 // Home
 app.get('/', (req, res) => {
   res.redirect('/admin');
 });
 
-const PORT = process.env.PORT || 3000;
-const HTTPS_PORT = process.env.HTTPS_PORT || 3443;
+await ensureOwnerAccount();
+startSessionManager();
+startReservationSweeper();
+startRateLimitSweeper();
+startAdminSessionSweeper();
+if (diagnosticsEnabled()) pruneDiagnostics();
+
+const PORT = config.PORT;
+const HTTPS_PORT = config.HTTPS_PORT;
+
+if (!config.PUBLIC_BASE_URL) {
+  logger.warn('PUBLIC_BASE_URL is not set; generated links use the host of the admin request');
+}
 
 // 检查SSL证书是否存在
-const sslKeyPath = path.join(__dirname, '..', 'ssl', 'private-key.pem');
-const sslCertPath = path.join(__dirname, '..', 'ssl', 'certificate.pem');
+const sslKeyPath = config.HTTPS_KEY_FILE;
+const sslCertPath = config.HTTPS_CERT_FILE;
 
 if (fs.existsSync(sslKeyPath) && fs.existsSync(sslCertPath)) {
   // 启动HTTPS服务器
@@ -448,17 +1399,17 @@ if (fs.existsSync(sslKeyPath) && fs.existsSync(sslCertPath)) {
   };
   
   https.createServer(options, app).listen(HTTPS_PORT, () => {
-    console.log(`HTTPS Server listening on https://localhost:${HTTPS_PORT}`);
+    logger.info('HTTPS server listening', { port: HTTPS_PORT });
   });
   
   // 同时启动HTTP服务器（重定向到HTTPS）
   app.listen(PORT, () => {
-    console.log(`HTTP Server listening on http://localhost:${PORT} (redirects to HTTPS)`);
+    logger.info('HTTP server listening (redirects to HTTPS)', { port: PORT });
   });
   
   // HTTP重定向到HTTPS
   app.use((req, res, next) => {
-    if (req.secure || req.headers['x-forwarded-proto'] === 'https') {
+    if (req.secure) {
       return next();
     }
     return res.redirect(`https://${req.headers.host.replace(/:\d+$/, `:${HTTPS_PORT}`)}${req.url}`);
@@ -466,8 +1417,7 @@ if (fs.existsSync(sslKeyPath) && fs.existsSync(sslCertPath)) {
 } else {
   // 如果没有SSL证书，只启动HTTP服务器
   app.listen(PORT, () => {
-    console.log(`HTTP Server listening on http://localhost:${PORT}`);
-    console.log('SSL certificates not found, running in HTTP mode only');
+    logger.info('HTTP server listening; SSL certificates not found, running in HTTP mode only', { port: PORT });
   });
 }
 
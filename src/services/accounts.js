@@ -0,0 +1,211 @@
+import path from 'path';
+import fs from 'fs';
+import { nanoid } from 'nanoid';
+import { config } from '../config.js';
+import { DownloadError } from './errors.js';
+
+// Rotation and health settings
+const ROTATION = config.ACCOUNT_ROTATION;
+const MAX_FAILURES = config.ACCOUNT_MAX_FAILURES;
+const COOLDOWN_MS = config.ACCOUNT_COOLDOWN_MINUTES * 60 * 1000;
+
+const dataDir = config.DATA_DIR;
+// Credentials live in their own 0600 file, never in app.json
+const accountsFile = config.ACCOUNTS_FILE;
+const sessionsDir = path.join(dataDir, 'sessions');
+// Storage state used before per-account sessions existed; adopted by the bootstrap account
+const legacyStateFile = path.join(dataDir, 'aippt_storage.json');
+
+let registry = null;
+let rrIndex = 0;
+const inFlight = new Map();
+
+function todayKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function emptyHealth() {
+  return { status: 'healthy', consecutive_failures: 0, last_error: null, last_failure_at: null, last_success_at: null, cooldown_until: null };
+}
+
+function load() {
+  if (registry) return registry;
+  try {
+    registry = JSON.parse(fs.readFileSync(accountsFile, 'utf8'));
+  } catch (_) {
+    registry = { accounts: [] };
+  }
+  registry.accounts = registry.accounts || [];
+  // Accounts created before site adapters existed are all aippt.cn accounts
+  registry.accounts.forEach(a => { if (!a.provider) a.provider = 'aippt'; });
+  bootstrapFromEnv();
+  return registry;
+}
+
+function save() {
+  fs.mkdirSync(path.dirname(accountsFile), { recursive: true, mode: 0o700 });
+  const tmp = `${accountsFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(registry, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, accountsFile);
+}
+
+// First run: turn AIPPT_USERNAME/AIPPT_PASSWORD into the initial account, keeping its saved session
+function bootstrapFromEnv() {
+  if (registry.accounts.length > 0) return;
+  const username = config.AIPPT_USERNAME;
+  const password = config.AIPPT_PASSWORD;
+  if (!username || !password) return;
+  const account = newAccount({ label: 'default', username, password });
+  registry.accounts.push(account);
+  if (fs.existsSync(legacyStateFile)) {
+    fs.mkdirSync(sessionsDir, { recursive: true });
+    fs.copyFileSync(legacyStateFile, accountStateFile(account));
+  }
+  save();
+}
+
+function newAccount({ provider = 'aippt', label, username, password, dailyLimit = null, enabled = true }) {
+  return {
+    id: nanoid(10),
+    provider: String(provider),
+    label: label || username,
+    username: String(username),
+    password: String(password),
+    enabled: enabled !== false,
+    daily_limit: dailyLimit != null && dailyLimit !== '' ? Number(dailyLimit) : null,
+    usage: { date: todayKey(), count: 0 },
+    total_downloads: 0,
+    health: emptyHealth(),
+    created_at: new Date().toISOString(),
+  };
+}
+
+function usedToday(account) {
+  return account.usage && account.usage.date === todayKey() ? account.usage.count : 0;
+}
+
+// A failing account becomes eligible again once its cooldown has passed
+function isAvailable(account, now = Date.now()) {
+  if (!account.enabled) return false;
+  if (account.daily_limit != null && usedToday(account) >= account.daily_limit) return false;
+  const until = account.health.cooldown_until ? new Date(account.health.cooldown_until).getTime() : 0;
+  return until <= now;
+}
+
+export function accountStateFile(account) {
+  return path.join(sessionsDir, `${account.id}.json`);
+}
+
+export function publicAccount(account) {
+  return {
+    id: account.id,
+    provider: account.provider,
+    label: account.label,
+    username: account.username,
+    enabled: account.enabled,
+    daily_limit: account.daily_limit,
+    used_today: usedToday(account),
+    in_flight: inFlight.get(account.id) || 0,
+    total_downloads: account.total_downloads,
+    health: account.health,
+    available: isAvailable(account),
+    has_session: fs.existsSync(accountStateFile(account)),
+    created_at: account.created_at,
+  };
+}
+
+export function listAccounts() {
+  return load().accounts.map(publicAccount);
+}
+
+export function getAccount(id) {
+  return load().accounts.find(a => a.id === id) || null;
+}
+
+export function createAccount({ provider, label, username, password, dailyLimit, enabled }) {
+  if (!username || !password) throw new Error('username and password are required');
+  load();
+  if (registry.accounts.some(a => a.provider === (provider || 'aippt') && a.username === String(username))) {
+    throw new Error('account already exists');
+  }
+  const account = newAccount({ provider, label, username, password, dailyLimit, enabled });
+  registry.accounts.push(account);
+  save();
+  return publicAccount(account);
+}
+
+export function updateAccount(id, { label, password, dailyLimit, enabled, resetHealth } = {}) {
+  const account = getAccount(id);
+  if (!account) return null;
+  if (label !== undefined) account.label = String(label);
+  if (password) {
+    account.password = String(password);
+    // Saved session belongs to the old credentials
+    fs.rmSync(accountStateFile(account), { force: true });
+  }
+  if (dailyLimit !== undefined) account.daily_limit = dailyLimit != null && dailyLimit !== '' ? Number(dailyLimit) : null;
+  if (enabled !== undefined) account.enabled = !!enabled;
+  if (resetHealth) account.health = emptyHealth();
+  save();
+  return publicAccount(account);
+}
+
+export function deleteAccount(id) {
+  const account = getAccount(id);
+  if (!account) return false;
+  registry.accounts = registry.accounts.filter(a => a.id !== id);
+  fs.rmSync(accountStateFile(account), { force: true });
+  save();
+  return true;
+}
+
+/**
+ * Choose the next healthy account of `provider` under quota (round_robin or least_used) and mark it in flight.
+ * Callers must report back through `reportAccountResult`.
+ */
+export function pickAccount(provider = 'aippt') {
+  const candidates = load().accounts.filter(a => a.provider === provider && isAvailable(a));
+  if (candidates.length === 0) {
+    throw new DownloadError('NO_ACCOUNT_AVAILABLE');
+  }
+  let account;
+  if (ROTATION === 'least_used') {
+    const busyness = (a) => usedToday(a) + (inFlight.get(a.id) || 0);
+    account = candidates.reduce((best, a) => (busyness(a) < busyness(best) ? a : best));
+  } else {
+    account = candidates[rrIndex % candidates.length];
+    rrIndex = (rrIndex + 1) % Number.MAX_SAFE_INTEGER;
+  }
+  inFlight.set(account.id, (inFlight.get(account.id) || 0) + 1);
+  return account;
+}
+
+// Update counters and health after a download run; `countsAsFailure: false` leaves health untouched
+export function reportAccountResult(id, { ok, error = null, countsAsFailure = true } = {}) {
+  inFlight.set(id, Math.max(0, (inFlight.get(id) || 0) - 1));
+  const account = getAccount(id);
+  if (!account) return;
+  const nowIso = new Date().toISOString();
+  if (ok) {
+    const today = todayKey();
+    if (!account.usage || account.usage.date !== today) account.usage = { date: today, count: 0 };
+    account.usage.count += 1;
+    account.total_downloads = (account.total_downloads || 0) + 1;
+    account.health = { ...account.health, status: 'healthy', consecutive_failures: 0, last_success_at: nowIso, cooldown_until: null };
+  } else if (countsAsFailure) {
+    const failures = (account.health.consecutive_failures || 0) + 1;
+    const failing = failures >= MAX_FAILURES;
+    account.health = {
+      ...account.health,
+      status: failing ? 'failing' : 'degraded',
+      consecutive_failures: failures,
+      last_error: error,
+      last_failure_at: nowIso,
+      cooldown_until: failing ? new Date(Date.now() + COOLDOWN_MS).toISOString() : null,
+    };
+  } else {
+    return;
+  }
+  save();
+}
@@ -0,0 +1,218 @@
+import { config } from '../../config.js';
+import { waitForPageSettled, selectorList, firstMatching } from './pageUtils.js';
+import { DownloadError } from '../errors.js';
+
+// Defaults for www.aippt.cn; any key can be overridden in the selectors config file under "aippt"
+export const defaultSelectors = {
+  // Only rendered for anonymous visitors (exact text preferred, then any button with both words)
+  loginButton: ['button:has-text("登录 ｜ 注册")', 'button:has-text("登录"):has-text("注册")'],
+  switchToPasswordLogin: 'div.dialog-login-change-btn .text:has-text("切换账号密码登录")',
+  usernameInput: '#custom-validation_account',
+  passwordInput: '#custom-validation_password',
+  loginSubmit: [
+    'button.ant-btn.ant-btn-primary[type="submit"] span:has-text("登 录")',
+    'button.ant-btn.ant-btn-primary[type="submit"]',
+  ],
+  downloadButton: [
+    'button[data-track-event="dl_template_down_id"]:has-text("立即下载")',
+    'button[data-track-event="dl_template_down_id"]',
+    'button:has-text("立即下载")',
+    'a:has-text("立即下载")',
+    'button.bg-gradient-primary-lr',
+    'button.ml-3',
+  ],
+  // Last resort: plain querySelector lookups that must also contain downloadButtonText
+  downloadButtonFallback: [
+    'button[data-track-event="dl_template_down_id"]',
+    'button.bg-gradient-primary-lr',
+    'button.ml-3',
+  ],
+  downloadButtonText: '立即下载',
+  popupDownloadButton: 'button[data-track-event="dl_template_down_id"]:has-text("立即下载"), button:has-text("立即下载"), a:has-text("立即下载")',
+  // URL pattern (regex source) of responses that are the template file itself
+  fileResponsePattern: '\\.(ppt|pptx|zip|rar|7z|pdf)(\\?.*)?$',
+  title: ['h1', 'meta[property="og:title"]'],
+  // Slider / puzzle challenges shown instead of the login result or the download
+  captcha: ['iframe[src*="captcha"]', '.geetest_panel', '.nc-container', '[class*="captcha"]'],
+};
+
+async function assertNoCaptcha(page, selectors) {
+  for (const sel of selectorList(selectors.captcha)) {
+    if (await page.locator(sel).first().isVisible().catch(() => false)) {
+      throw new DownloadError('CAPTCHA_REQUIRED', `验证码拦截（${sel}）`);
+    }
+  }
+}
+
+function decodeJwtPayload(jwt) {
+  const part = String(jwt).split('.')[1];
+  if (!part) return null;
+  try {
+    return JSON.parse(Buffer.from(part.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+export const aipptAdapter = {
+  id: 'aippt',
+  name: 'AiPPT (aippt.cn)',
+  homeUrl: 'https://www.aippt.cn/',
+  defaultSelectors,
+
+  matchUrl(url) {
+    const host = url.hostname.toLowerCase();
+    return host === 'aippt.cn' || host.endsWith('.aippt.cn');
+  },
+
+  templateUrlForId(templateId) {
+    return `https://www.aippt.cn/template/ppt/detail/${templateId}.html`;
+  },
+
+  async isLoggedIn(page, selectors) {
+    return (await firstMatching(page, selectors.loginButton)) === null;
+  },
+
+  // Log in through the password form on the current page; throws when the login does not stick
+  async login(page, account, selectors) {
+    // Some pages require opening login modal first
+    const loginBtn = await firstMatching(page, selectors.loginButton);
+    if (loginBtn) await loginBtn.click({ timeout: 10000 }).catch(() => {});
+    // Switch to password login
+    const switchPwd = await firstMatching(page, selectors.switchToPasswordLogin);
+    if (switchPwd) await switchPwd.click({ timeout: 10000 }).catch(() => {});
+    // Fill account and password
+    await page.fill(selectorList(selectors.usernameInput)[0], account.username, { timeout: config.PLAYWRIGHT_ACTION_TIMEOUT_MS });
+    await page.fill(selectorList(selectors.passwordInput)[0], account.password, { timeout: config.PLAYWRIGHT_ACTION_TIMEOUT_MS });
+    // Click login button
+    const submit = await firstMatching(page, selectors.loginSubmit);
+    if (submit) await submit.click({ timeout: 10000 }).catch(() => {});
+    await page.waitForLoadState('networkidle', { timeout: 2000 }).catch(() => {});
+    await waitForPageSettled(page, 100);
+    await assertNoCaptcha(page, selectors);
+    // Login/register button still showing means the credentials were not accepted
+    const stillAnonymous = await firstMatching(page, selectors.loginButton);
+    if (stillAnonymous && await stillAnonymous.isVisible().catch(() => false)) {
+      throw new DownloadError('UPSTREAM_LOGIN_FAILED', `账号 ${account.label} 登录失败`);
+    }
+  },
+
+  /**
+   * Click "立即下载" and resolve to a Playwright Download, a file Response, or null.
+   * Throws when no download button can be found at all.
+   */
+  async triggerDownload(page, context, selectors, { log = () => {} } = {}) {
+    const buttonText = selectors.downloadButtonText;
+    const filePattern = new RegExp(selectors.fileResponsePattern, 'i');
+    // prepare listeners for both download and possible popup
+    const downloadListener = page.waitForEvent('download', { timeout: config.PLAYWRIGHT_DOWNLOAD_TIMEOUT_MS }).catch(() => null);
+    const popupListener = context.waitForEvent('page', { timeout: config.PLAYWRIGHT_DOWNLOAD_TIMEOUT_MS }).catch(() => null);
+    // response listener to catch direct file responses
+    const responseListener = page.waitForResponse((resp) => {
+      try {
+        const headers = resp.headers();
+        const disp = headers['content-disposition'] || headers['Content-Disposition'];
+        if (disp && /attachment/i.test(disp)) return true;
+        if (filePattern.test(resp.url())) return true;
+      } catch (_) {}
+      return false;
+    }, { timeout: config.PLAYWRIGHT_DOWNLOAD_TIMEOUT_MS }).catch(() => null);
+    let clicked = false;
+    // small grace period to allow lazy components to mount
+    await waitForPageSettled(page, 30);
+    for (const sel of selectorList(selectors.downloadButton)) {
+      const loc = page.locator(sel).first();
+      if ((await loc.count()) > 0) {
+        await loc.scrollIntoViewIfNeeded().catch(() => {});
+        await loc.waitFor({ state: 'visible', timeout: config.PLAYWRIGHT_ACTION_TIMEOUT_MS }).catch(() => {});
+        try {
+          await loc.click({ timeout: config.PLAYWRIGHT_ACTION_TIMEOUT_MS });
+          clicked = true;
+          break;
+        } catch (_) {
+          // try force click
+          try {
+            await loc.click({ timeout: config.PLAYWRIGHT_ACTION_TIMEOUT_MS, force: true });
+            clicked = true;
+            break;
+          } catch (_) {}
+        }
+      }
+    }
+    if (!clicked) {
+      // last resort: querySelector and click via evaluate
+      clicked = await page.evaluate(({ sels, text }) => {
+        for (const s of sels) {
+          const el = document.querySelector(s);
+          if (el && (el.textContent || '').includes(text)) {
+            el.scrollIntoView({ block: 'center' });
+            el.click();
+            return true;
+          }
+        }
+        return false;
+      }, { sels: selectorList(selectors.downloadButtonFallback), text: buttonText });
+    }
+    if (!clicked) {
+      await assertNoCaptcha(page, selectors);
+      throw new DownloadError('DOWNLOAD_BUTTON_MISSING', `未找到"${buttonText}"按钮`);
+    }
+    log('Download button clicked');
+    // Post click short wait
+    await page.waitForTimeout(50);
+    let download = await downloadListener;
+    log(`Download listener resolved: ${download ? 'SUCCESS' : 'NO_DOWNLOAD'}`);
+    if (!download) {
+      // try popup page scenario
+      const popup = await popupListener;
+      if (popup) {
+        await popup.waitForLoadState('domcontentloaded').catch(() => {});
+        const popupDownload = await popup.waitForEvent('download', { timeout: config.PLAYWRIGHT_DOWNLOAD_TIMEOUT_MS }).catch(() => null);
+        if (popupDownload) return popupDownload;
+        // also try clicking download in popup
+        const popupDl = popup.locator(selectorList(selectors.popupDownloadButton).join(', ')).first();
+        if ((await popupDl.count()) > 0) {
+          const popupDlListener = popup.waitForEvent('download', { timeout: config.PLAYWRIGHT_DOWNLOAD_TIMEOUT_MS }).catch(() => null);
+          await popupDl.click({ timeout: config.PLAYWRIGHT_ACTION_TIMEOUT_MS }).catch(() => {});
+          download = await popupDlListener;
+        }
+      }
+    }
+    if (download) return download;
+    // As a fallback, if we have a file-like response, return it
+    const resp = await responseListener;
+    // Clicked but nothing came back: a challenge may have popped up instead
+    if (!resp) await assertNoCaptcha(page, selectors);
+    return resp || null;
+  },
+
+  async extractMetadata(page, selectors) {
+    let title = null;
+    for (const sel of selectorList(selectors.title)) {
+      const loc = page.locator(sel).first();
+      if ((await loc.count().catch(() => 0)) === 0) continue;
+      title = sel.startsWith('meta')
+        ? await loc.getAttribute('content').catch(() => null)
+        : await loc.textContent().catch(() => null);
+      if (title && title.trim()) break;
+    }
+    const idMatch = /(\d{3,})(?:\.html?)?\/?$/.exec(new URL(page.url()).pathname);
+    return { title: title ? title.trim() : null, templateId: idMatch ? idMatch[1] : null };
+  },
+
+  // The `main` cookie holds URL-encoded JSON whose `_authToken` is a JWT; returns { expiresAt, userId } or null
+  sessionInfo(storageState) {
+    const cookie = ((storageState && storageState.cookies) || [])
+      .find(c => c.name === 'main' && /(^|\.)aippt\.cn$/.test(String(c.domain || '').replace(/^\./, '')));
+    if (!cookie) return null;
+    let authToken = null;
+    try { authToken = JSON.parse(decodeURIComponent(cookie.value))._authToken; } catch (_) {}
+    if (!authToken) return null;
+    const payload = decodeJwtPayload(authToken);
+    if (!payload) return null;
+    return {
+      expiresAt: payload.exp ? new Date(payload.exp * 1000).toISOString() : null,
+      userId: payload.UserId ?? null,
+    };
+  },
+};
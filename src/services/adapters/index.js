@@ -0,0 +1,70 @@
+import fs from 'fs';
+import { aipptAdapter } from './aippt.js';
+import { config } from '../../config.js';
+import { createLogger } from '../../logger.js';
+
+const log = createLogger({ module: 'adapters' });
+
+/**
+ * Site adapter interface:
+ *   id, name, homeUrl, defaultSelectors
+ *   matchUrl(url: URL) -> boolean
+ *   templateUrlForId(templateId) -> string   (template page URL for a bare ID typed by the user)
+ *   isLoggedIn(page, selectors) -> Promise<boolean>
+ *   login(page, account, selectors) -> Promise<void>, throws when login fails
+ *   triggerDownload(page, context, selectors, { log }) -> Promise<Download | Response | null>
+ *   Failures are thrown as DownloadError (services/errors.js): UPSTREAM_LOGIN_FAILED, CAPTCHA_REQUIRED, DOWNLOAD_BUTTON_MISSING
+ *   extractMetadata(page, selectors) -> Promise<{ title, templateId }>
+ *   sessionInfo(storageState) -> { expiresAt, userId } | null   (optional)
+ */
+const adapters = [aipptAdapter];
+
+// { "<adapter id>": { "<selector key>": "selector" | ["selector", ...] } }, re-read when the file changes
+const selectorsFile = config.SELECTORS_FILE;
+
+let overrides = {};
+let overridesMtime = 0;
+
+function loadOverrides() {
+  let stat;
+  try { stat = fs.statSync(selectorsFile); } catch (_) { overrides = {}; overridesMtime = 0; return overrides; }
+  if (stat.mtimeMs === overridesMtime) return overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(selectorsFile, 'utf8')) || {};
+    overridesMtime = stat.mtimeMs;
+    log.info('loaded selector overrides', { file: selectorsFile });
+  } catch (err) {
+    // Keep the last good overrides rather than falling back to defaults mid-flight
+    log.warn('ignoring invalid selectors file', { file: selectorsFile, error: err.message });
+  }
+  return overrides;
+}
+
+export function selectorsFor(adapter) {
+  return { ...adapter.defaultSelectors, ...(loadOverrides()[adapter.id] || {}) };
+}
+
+export function getAdapter(id) {
+  return adapters.find(a => a.id === id) || null;
+}
+
+// Adapter whose matchUrl accepts the URL's host, or null for unsupported sites
+export function getAdapterForUrl(templateUrl) {
+  let url;
+  try { url = new URL(String(templateUrl)); } catch (_) { return null; }
+  return adapters.find(a => a.matchUrl(url)) || null;
+}
+
+export function listAdapters() {
+  return adapters.map(a => ({
+    id: a.id,
+    name: a.name,
+    homeUrl: a.homeUrl,
+    selectors: selectorsFor(a),
+    overridden: Object.keys(loadOverrides()[a.id] || {}),
+  }));
+}
+
+export function selectorsFilePath() {
+  return selectorsFile;
+}
@@ -0,0 +1,24 @@
+// Helpers shared by site adapters
+
+// Ensure page is fully settled (post-DOM ready and quiet network)
+export async function waitForPageSettled(page, extraDelayMs = 50) {
+  try { await page.waitForLoadState('domcontentloaded', { timeout: 3000 }); } catch (_) {}
+  try { await page.waitForLoadState('networkidle', { timeout: 1000 }); } catch (_) {}
+  try { await page.waitForFunction(() => document.readyState === 'complete', null, { timeout: 1000 }); } catch (_) {}
+  if (extraDelayMs > 0) { await page.waitForTimeout(extraDelayMs).catch(() => {}); }
+}
+
+// Selector config values may be a single selector or an ordered list of fallbacks
+export function selectorList(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value.filter(Boolean) : [value];
+}
+
+// First selector in the list that matches something on the page, as a locator; null if none do
+export async function firstMatching(page, selectors) {
+  for (const sel of selectorList(selectors)) {
+    const loc = page.locator(sel).first();
+    if ((await loc.count().catch(() => 0)) > 0) return loc;
+  }
+  return null;
+}
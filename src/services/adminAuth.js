@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import {
+  getAdminUser, getAdminUserCredentials, countAdminUsers, insertAdminUser, updateAdminUser, deleteAdminUser,
+  insertAdminSession, getAdminSession, extendAdminSession, deleteAdminSession, deleteAdminSessionsForUser, deleteExpiredAdminSessions,
+} from '../storage/adminUsers.js';
+import { config } from '../config.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger({ module: 'admin' });
+
+const scrypt = promisify(crypto.scrypt);
+
+// Least to most privileged: viewer sees stats, operator manages links, owner manages users and accounts
+export const ADMIN_ROLES = ['viewer', 'operator', 'owner'];
+export const SESSION_COOKIE = 'admin_session';
+// Idle sessions expire after this long; each request pushes the expiry out again
+export const SESSION_TTL_MS = config.ADMIN_SESSION_HOURS * 60 * 60 * 1000;
+export const MIN_PASSWORD_LENGTH = 8;
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+// Verified against when the username is unknown, so the response time doesn't reveal which users exist
+let dummyHash = null;
+
+// Stored as scrypt$N$r$p$salt$key (base64)
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const key = await scrypt(String(password), salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, key] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !key) return false;
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+export function roleAllows(role, required) {
+  return ADMIN_ROLES.indexOf(role) >= ADMIN_ROLES.indexOf(required);
+}
+
+const sessionKey = raw => crypto.createHash('sha256').update(String(raw)).digest('hex');
+
+/**
+ * First start: create an owner from ADMIN_USERNAME / ADMIN_PASSWORD.
+ * Without ADMIN_PASSWORD a random password is generated and printed once.
+ */
+export async function ensureOwnerAccount() {
+  if (countAdminUsers() > 0) return;
+  const username = config.ADMIN_USERNAME;
+  let password = config.ADMIN_PASSWORD;
+  if (!password) {
+    password = crypto.randomBytes(12).toString('base64url');
+    log.warn('created owner with a generated password; change it after logging in', { username, password });
+  } else {
+    log.info('created owner from ADMIN_USERNAME/ADMIN_PASSWORD', { username });
+  }
+  insertAdminUser({ username, passwordHash: await hashPassword(password), role: 'owner' });
+}
+
+/**
+ * Check credentials and open a session.
+ * Returns null on bad credentials, otherwise `{ cookie, csrfToken, expiresAt, user }`; `cookie` is the raw session id.
+ */
+export async function login(username, password, { ip = '', userAgent = '' } = {}) {
+  const user = getAdminUserCredentials(username);
+  if (!user) {
+    dummyHash = dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+    await verifyPassword(password, dummyHash);
+    return null;
+  }
+  if (!(await verifyPassword(password, user.password_hash)) || user.disabled) return null;
+  const cookie = crypto.randomBytes(32).toString('base64url');
+  const csrfToken = crypto.randomBytes(24).toString('base64url');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + SESSION_TTL_MS).toISOString();
+  insertAdminSession({
+    id: sessionKey(cookie),
+    userId: user.id,
+    csrfToken,
+    ip,
+    userAgent,
+    createdAt: now.toISOString(),
+    expiresAt,
+  });
+  updateAdminUser(user.id, { last_login_at: now.toISOString() });
+  return { cookie, csrfToken, expiresAt, user: getAdminUser(user.id) };
+}
+
+// The live session for a cookie value (sliding expiry), or null
+export function resolveSession(cookie) {
+  if (!cookie) return null;
+  const id = sessionKey(cookie);
+  const session = getAdminSession(id);
+  if (!session || session.disabled) return null;
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+  extendAdminSession(id, expiresAt);
+  return { ...session, expires_at: expiresAt };
+}
+
+export function logout(cookie) {
+  if (cookie) deleteAdminSession(sessionKey(cookie));
+}
+
+// User management (owners only; the routes check roles)
+
+export async function createAdminUser({ username, password, role }) {
+  if (getAdminUserCredentials(username)) throw new Error('user already exists');
+  return insertAdminUser({ username: String(username), passwordHash: await hashPassword(password), role });
+}
+
+/**
+ * Change role, disabled flag and/or password. Changing the password or disabling the user ends their sessions.
+ * Refuses to leave the system without an active owner.
+ */
+export async function updateAdminUserAccount(id, { role, disabled, password } = {}) {
+  const user = getAdminUser(id);
+  if (!user) return null;
+  const losesOwner = user.role === 'owner' && !user.disabled && ((role && role !== 'owner') || disabled === true);
+  if (losesOwner && countAdminUsers({ role: 'owner' }) <= 1) throw new Error('cannot remove the last owner');
+  const changes = {};
+  if (role) changes.role = role;
+  if (disabled != null) changes.disabled = !!disabled;
+  if (password) changes.password_hash = await hashPassword(password);
+  const updated = updateAdminUser(user.id, changes);
+  if (password || disabled === true) deleteAdminSessionsForUser(user.id);
+  return updated;
+}
+
+// A signed-in user changing their own password; ends all their sessions, including the current one
+export async function changeOwnPassword(username, currentPassword, newPassword) {
+  const user = getAdminUserCredentials(username);
+  if (!user || !(await verifyPassword(currentPassword, user.password_hash))) return false;
+  await updateAdminUserAccount(user.id, { password: newPassword });
+  return true;
+}
+
+export function deleteAdminUserAccount(id) {
+  const user = getAdminUser(id);
+  if (!user) return false;
+  if (user.role === 'owner' && !user.disabled && countAdminUsers({ role: 'owner' }) <= 1) {
+    throw new Error('cannot remove the last owner');
+  }
+  return deleteAdminUser(user.id);
+}
+
+export function startAdminSessionSweeper() {
+  const tick = () => {
+    try { deleteExpiredAdminSessions(); } catch (err) { log.error('session sweep failed', { error: err }); }
+  };
+  tick();
+  setInterval(tick, 60 * 60 * 1000).unref();
+}
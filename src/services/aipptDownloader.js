@@ -1,259 +1,178 @@
-import { chromium } from 'playwright';
 import path from 'path';
 import fs from 'fs';
 import os from 'os';
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { acquireContext } from './browserPool.js';
+import { pickAccount, reportAccountResult, accountStateFile } from './accounts.js';
+import { getAdapterForUrl, selectorsFor } from './adapters/index.js';
+import { waitForPageSettled } from './adapters/pageUtils.js';
+import { installRequestGuard, assertDownloadAllowed, UrlPolicyError } from './urlPolicy.js';
+import { observeStage, timeStage, countLogin } from './metrics.js';
+import { logger } from '../logger.js';
+import { startDiagnostics, suspendTracing, resumeTracing, captureFailure } from './diagnostics.js';
+import { DownloadError } from './errors.js';
 
-let sharedBrowser = null;
-let launchingBrowser = null;
-
-async function getSharedBrowser(headless, slowMo) {
-  if (sharedBrowser && sharedBrowser.isConnected()) return sharedBrowser;
-  if (launchingBrowser) {
-    try { await launchingBrowser; } catch (_) { /* ignore */ }
-    if (sharedBrowser && sharedBrowser.isConnected()) return sharedBrowser;
-  }
-  launchingBrowser = chromium.launch({
-    headless,
-    slowMo,
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-gpu',
-      '--no-zygote'
-    ]
-  }).then((b) => {
-    sharedBrowser = b;
-    launchingBrowser = null;
-    try {
-      b.on('disconnected', () => { sharedBrowser = null; });
-    } catch (_) {}
-    return b;
-  }).catch((e) => { launchingBrowser = null; throw e; });
-  sharedBrowser = await launchingBrowser;
-  return sharedBrowser;
-}
+// Console message types forwarded for PAGE_CONSOLE_LOG=errors
+const PAGE_ERROR_TYPES = new Set(['error', 'warning']);
 
+/**
+ * Download a template through the site adapter matching the URL's host (aippt.cn today).
+ * Resolves to `{ filePath, filename, metadata, cleanup }`. `options.log` is the caller's logger
+ * (request id, token); every step of the run is logged through it. `options.diagnostics` names the
+ * failure diagnostics entry (`id`, e.g. the job id) and adds details to it (request id, token).
+ */
 export async function downloadAipptTemplate(templateUrl, options = {}) {
   if (!/^https?:\/\//.test(templateUrl)) {
-    throw new Error('Invalid template URL');
+    throw new DownloadError('URL_INVALID', 'Invalid template URL', { accountFault: false });
   }
-  const username = process.env.AIPPT_USERNAME;
-  const password = process.env.AIPPT_PASSWORD;
-  if (!username || !password) {
-    throw new Error('Missing AIPPT_USERNAME/AIPPT_PASSWORD');
+  const adapter = getAdapterForUrl(templateUrl);
+  if (!adapter) throw new DownloadError('UNSUPPORTED_SITE', null, { accountFault: false });
+  // Rotate across the registered accounts for this site; the outcome feeds back into account health
+  const account = pickAccount(adapter.id);
+  try {
+    const result = await runDownload(templateUrl, adapter, account, options);
+    reportAccountResult(account.id, { ok: true });
+    return result;
+  } catch (err) {
+    reportAccountResult(account.id, { ok: false, error: err.message, countsAsFailure: err.accountFault !== false });
+    throw err;
   }
+}
+
+// The server names the file: decode it and keep only a plain name, so it can't point outside the temp dir
+function safeFilename(name) {
+  let decoded = String(name || '');
+  try { decoded = decodeURIComponent(decoded); } catch (_) {}
+  const base = path.basename(decoded.replace(/\\/g, '/'))
+    .replace(/[\x00-\x1f\x7f:*?"<>|]/g, '_')
+    .replace(/^[.\s]+/, '')
+    .trim();
+  if (!base) throw new UrlPolicyError('DOWNLOAD_NOT_ALLOWED', '下载的文件名无效', 502);
+  return base;
+}
+
+async function runDownload(templateUrl, adapter, account, options) {
+  const selectors = selectorsFor(adapter);
   const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aippt-'));
-  const headlessEnv = process.env.PLAYWRIGHT_HEADLESS;
-  const headless = options.headless ?? (headlessEnv ? headlessEnv !== 'false' : true);
+  const headless = options.headless ?? config.HEADLESS;
   const slowMo = options.slowMo ?? 0;
-  let browser = await getSharedBrowser(headless, slowMo);
-  // Persist session between runs via storage state
-  const dataDir = path.join(process.cwd(), 'data');
-  try { fs.mkdirSync(dataDir, { recursive: true }); } catch (_) {}
-  const stateFile = path.join(dataDir, 'aippt_storage.json');
-  let context;
-  let page;
-  async function openContextWithRetry() {
-    try {
-      context = await browser.newContext({ acceptDownloads: true, storageState: fs.existsSync(stateFile) ? stateFile : undefined });
-    } catch (e) {
-      // Browser may have been closed/crashed; relaunch and retry once
-      browser = await getSharedBrowser(headless, slowMo);
-      context = await browser.newContext({ acceptDownloads: true, storageState: fs.existsSync(stateFile) ? stateFile : undefined });
-    }
-    page = await context.newPage();
-  }
-  await openContextWithRetry();
+  // Optional progress hook used by the job runner: loading_page -> logging_in -> downloading
+  let stage = 'queued';
+  const onStage = (next) => {
+    stage = next;
+    if (typeof options.onStage === 'function') options.onStage(next);
+  };
+  const log = (options.log || logger).child({ adapter: adapter.id, account: account.label });
+  // Persist each account's session between runs via its own storage state file
+  const stateFile = accountStateFile(account);
+  try { fs.mkdirSync(path.dirname(stateFile), { recursive: true }); } catch (_) {}
+  // Wait for a pool slot; queue position is reported through onQueue while waiting
+  const lease = await acquireContext({
+    key: options.queueKey,
+    headless,
+    slowMo,
+    onQueue: typeof options.onQueue === 'function' ? options.onQueue : undefined,
+    contextOptions: { acceptDownloads: true, storageState: fs.existsSync(stateFile) ? stateFile : undefined },
+  }).catch((err) => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    err.accountFault = false;
+    throw err;
+  });
+  const context = lease.context;
+  await startDiagnostics(context);
+  // Keep the browser on allowed hosts and away from internal addresses for the whole job
+  const page = await installRequestGuard(context, {
+    onBlocked: (url, err) => log.warn('blocked request', { url, code: err.code }),
+  }).then(() => context.newPage()).catch(async (err) => {
+    await lease.release();
+    throw err;
+  });
   try {
-    // Log console messages for debugging
-    page.on('console', msg => {
-      try { console.log('[page]', msg.type(), msg.text()); } catch (_) {}
-    });
+    if (config.PAGE_CONSOLE_LOG !== 'off') {
+      page.on('console', msg => {
+        try {
+          if (config.PAGE_CONSOLE_LOG === 'all' || PAGE_ERROR_TYPES.has(msg.type())) {
+            log.debug('page console', { type: msg.type(), text: msg.text() });
+          }
+        } catch (_) {}
+      });
+    }
 
     // Go to template page directly
     const t0 = Date.now();
-    console.log('[timing] Starting download process');
-    await page.goto(templateUrl, { waitUntil: 'domcontentloaded', timeout: 15000 });
-    console.log('[timing] Page loaded:', Date.now() - t0, 'ms');
+    // Progress through the run, with the time since it started
+    const step = (message) => log.info(message, { ms: Date.now() - t0 });
+    step('loading template page');
+    onStage('loading_page');
+    await page.goto(templateUrl, { waitUntil: 'domcontentloaded', timeout: config.PLAYWRIGHT_NAVIGATION_TIMEOUT_MS }).catch((err) => {
+      // Template page unreachable: not the account's fault
+      err.accountFault = false;
+      throw err;
+    });
+    step('page loaded');
     await page.waitForLoadState('networkidle', { timeout: 1000 }).catch(() => {});
-    console.log('[timing] Network idle:', Date.now() - t0, 'ms');
-    // Ensure page is fully settled (post-DOM ready and quiet network)
-    async function waitForPageSettled(extraDelayMs = 50) {
-      try { await page.waitForLoadState('domcontentloaded', { timeout: 3000 }); } catch (_) {}
-      try { await page.waitForLoadState('networkidle', { timeout: 1000 }); } catch (_) {}
-      try { await page.waitForFunction(() => document.readyState === 'complete', null, { timeout: 1000 }); } catch (_) {}
-      if (extraDelayMs > 0) { await page.waitForTimeout(extraDelayMs).catch(() => {}); }
-    }
-    await waitForPageSettled(50);
-    console.log('[timing] Page settled:', Date.now() - t0, 'ms');
+    step('network idle');
+    await waitForPageSettled(page, 50);
+    step('page settled');
+    observeStage('page_load', Date.now() - t0);
     // Avoid full-page scroll; we'll scroll specific targets into view when needed
     await page.waitForTimeout(50);
 
-    // 1) Detect login state via the given login/register button text (exact text preferred)
-    let loginRegisterBtn = page.locator('button:has-text("登录 ｜ 注册")').first();
-    if ((await loginRegisterBtn.count()) === 0) {
-      // fallback: any button containing both 登录 and 注册
-      loginRegisterBtn = page.locator('button:has-text("登录")').filter({ hasText: '注册' }).first();
-    }
-    const isLoginRequired = (await loginRegisterBtn.count()) > 0;
-    console.log('[timing] Login check complete, isLoginRequired:', isLoginRequired, Date.now() - t0, 'ms');
+    // 1) Detect login state
+    const isLoginRequired = !(await adapter.isLoggedIn(page, selectors));
+    step(isLoginRequired ? 'login required' : 'already logged in');
 
-    async function clickImmediateDownload() {
-      // target download button as specified
-      const candidates = [
-        'button[data-track-event="dl_template_down_id"]:has-text("立即下载")',
-        'button[data-track-event="dl_template_down_id"]',
-        'button:has-text("立即下载")',
-        'a:has-text("立即下载")',
-        'button.bg-gradient-primary-lr',
-        'button.ml-3',
-      ];
-      // prepare listeners for both download and possible popup
-      const downloadListener = page.waitForEvent('download', { timeout: 60000 }).catch(() => null);
-      const popupListener = context.waitForEvent('page', { timeout: 60000 }).catch(() => null);
-      // response listener to catch direct file responses
-      const responseListener = page.waitForResponse((resp) => {
-        try {
-          const url = resp.url();
-          const headers = resp.headers();
-          const disp = headers['content-disposition'] || headers['Content-Disposition'];
-          if (disp && /attachment/i.test(disp)) return true;
-          if (/\.(ppt|pptx|zip|rar|7z|pdf)(\?.*)?$/i.test(url)) return true;
-        } catch (_) {}
-        return false;
-      }, { timeout: 60000 }).catch(() => null);
-      let clicked = false;
-      // small grace period to allow lazy components to mount
-      await waitForPageSettled(30);
-      for (const sel of candidates) {
-        const loc = page.locator(sel).first();
-        if ((await loc.count()) > 0) {
-          await loc.scrollIntoViewIfNeeded().catch(() => {});
-          await loc.waitFor({ state: 'visible', timeout: 15000 }).catch(() => {});
-          // ensure inner text contains 立即下载 when applicable
-          const txt = await loc.textContent().catch(() => '');
-          if (txt && !txt.includes('立即下载') && sel === 'button[data-track-event="dl_template_down_id"]') {
-            // continue to next selector
-          }
-          try {
-            await loc.click({ timeout: 15000 });
-            clicked = true;
-            break;
-          } catch (_) {
-            // try force click
-            try {
-              await loc.click({ timeout: 15000, force: true });
-              clicked = true;
-              break;
-            } catch (_) {}
-          }
-        }
-      }
-      if (!clicked) {
-        // last resort: querySelector and click via evaluate
-        clicked = await page.evaluate(() => {
-          const qs = (s) => document.querySelector(s);
-          const sels = [
-            'button[data-track-event="dl_template_down_id"]',
-            'button.bg-gradient-primary-lr',
-            'button.ml-3',
-          ];
-          for (const s of sels) {
-            const el = qs(s);
-            if (el && (el.textContent || '').includes('立即下载')) {
-              el.scrollIntoView({ block: 'center' });
-              (el).click();
-              return true;
-            }
-          }
-          return false;
-        });
-      }
-      if (!clicked) throw new Error('未找到"立即下载"按钮');
-      console.log('[timing] Download button clicked:', Date.now() - t0, 'ms');
-      // Post click short wait
-      await page.waitForTimeout(50);
-      let download = await downloadListener;
-      console.log('[timing] Download listener resolved:', Date.now() - t0, 'ms', download ? 'SUCCESS' : 'NO_DOWNLOAD');
-      if (!download) {
-        // try popup page scenario
-        const popup = await popupListener;
-        if (popup) {
-          await popup.waitForLoadState('domcontentloaded').catch(() => {});
-          const popupDownload = await popup.waitForEvent('download', { timeout: 60000 }).catch(() => null);
-          if (popupDownload) return popupDownload;
-          // also try clicking download in popup
-          const popupDl = popup.locator('button[data-track-event="dl_template_down_id"]:has-text("立即下载"), button:has-text("立即下载"), a:has-text("立即下载")').first();
-          if ((await popupDl.count()) > 0) {
-            const popupDlListener = popup.waitForEvent('download', { timeout: 60000 }).catch(() => null);
-            await popupDl.click({ timeout: 15000 }).catch(() => {});
-            download = await popupDlListener;
-          }
-        }
-      }
-      if (download) return download;
-      // As a fallback, if we have a file-like response, return it
-      const resp = await responseListener;
-      return resp || null;
+    if (isLoginRequired) {
+      onStage('logging_in');
+      step('logging in');
+      // Keep the password and the new session out of the diagnostics trace
+      await suspendTracing(context);
+      await timeStage('login', () => adapter.login(page, account, selectors)).then(
+        () => countLogin('download', true),
+        (err) => { countLogin('download', false); throw err; },
+      );
+      // Save storage state after login so future runs reuse the session
+      try { await context.storageState({ path: stateFile }); } catch (_) {}
+      await resumeTracing(context);
+      step('logged in');
     }
 
+    // 2) Trigger the download, retrying a few times in case components mount slowly
+    onStage('downloading');
+    await waitForPageSettled(page, 50);
+    step('triggering download');
+    const clickedAt = Date.now();
     let download = null;
-    if (!isLoginRequired) {
-      // if already logged in -> ensure settled then click download
-      await waitForPageSettled(50);
-      console.log('[timing] Starting download attempt:', Date.now() - t0, 'ms');
-      // retry a few times in case components mount slowly
-      for (let i = 0; i < 3 && !download; i++) {
-        console.log('[timing] Download attempt', i + 1);
-        download = await clickImmediateDownload().catch(() => null);
-        if (!download) {
-          await waitForPageSettled(50);
-        }
-      }
-    } else {
-      // Need to login: click switch to password login
-      // Some pages require opening login modal first
-      await loginRegisterBtn.first().click({ timeout: 10000 }).catch(() => {});
-      const switchPwd = page.locator('div.dialog-login-change-btn .text:has-text("切换账号密码登录")').first();
-      if ((await switchPwd.count()) > 0) {
-        await switchPwd.click({ timeout: 10000 }).catch(() => {});
-      }
-      // Fill account and password
-      await page.fill('#custom-validation_account', username, { timeout: 15000 });
-      await page.fill('#custom-validation_password', password, { timeout: 15000 });
-      // Click login button
-      const submitBtnSpan = page.locator('button.ant-btn.ant-btn-primary[type="submit"] span:has-text("登 录")').first();
-      if ((await submitBtnSpan.count()) > 0) {
-        await submitBtnSpan.click({ timeout: 10000 }).catch(() => {});
-      } else {
-        await page.locator('button.ant-btn.ant-btn-primary[type="submit"]').first().click({ timeout: 10000 }).catch(() => {});
-      }
-      await page.waitForLoadState('networkidle', { timeout: 2000 }).catch(() => {});
-      await waitForPageSettled(100);
-      // Save storage state after login so future runs reuse the session
-      try { await context.storageState({ path: stateFile }); } catch (_) {}
-      // After login, click immediate download with retries to handle slow rendering
-      for (let i = 0; i < 3 && !download; i++) {
-        download = await clickImmediateDownload().catch(() => null);
-        if (!download) {
-          await waitForPageSettled(50);
-        }
+    let lastError = null;
+    for (let i = 0; i < 3 && !download; i++) {
+      log.debug('download attempt', { attempt: i + 1 });
+      download = await adapter.triggerDownload(page, context, selectors, { log: step }).catch((err) => {
+        log.debug('download attempt failed', { attempt: i + 1, error: err.message });
+        lastError = err;
+        return null;
+      });
+      if (!download) {
+        await waitForPageSettled(page, 50);
       }
     }
 
     if (!download) {
-      throw new Error('下载未开始');
+      // A missing button or a captcha says more than "nothing happened"
+      throw lastError instanceof DownloadError ? lastError : new DownloadError('DOWNLOAD_NOT_STARTED', '下载未开始');
     }
-    console.log('[timing] Download object obtained:', Date.now() - t0, 'ms');
+    step('download started');
+    observeStage('click_to_download', Date.now() - clickedAt);
+    const metadata = await adapter.extractMetadata(page, selectors).catch(() => ({}));
+    const cleanup = () => fs.rmSync(tmpDir, { recursive: true, force: true });
     // If it's a Playwright Download object
     if (typeof download.suggestedFilename === 'function') {
-      const suggested = download.suggestedFilename();
-      const filePath = path.join(tmpDir, suggested || 'aippt-download');
-      console.log('[timing] Saving file:', suggested);
-      await download.saveAs(filePath);
-      console.log('[timing] File saved, total time:', Date.now() - t0, 'ms');
-      return { filePath, filename: path.basename(filePath), cleanup: () => fs.rmSync(tmpDir, { recursive: true, force: true }) };
+      const suggested = safeFilename(download.suggestedFilename());
+      await assertDownloadAllowed(download.url(), suggested);
+      const filePath = path.join(tmpDir, suggested);
+      await timeStage('save', () => download.saveAs(filePath));
+      step('file saved');
+      return { filePath, filename: path.basename(filePath), metadata, cleanup };
     }
     // Otherwise treat it as a Response
     const resp = download; // from responseListener
@@ -262,20 +181,36 @@ export async function downloadAipptTemplate(templateUrl, options = {}) {
     let filename = 'aippt-download';
     const match = /filename\*=UTF-8''([^;]+)|filename="?([^";]+)"?/i.exec(disp);
     if (match) {
-      filename = decodeURIComponent((match[1] || match[2] || '').trim());
+      filename = (match[1] || match[2] || '').trim();
     } else {
       const u = new URL(resp.url());
       const last = u.pathname.split('/').pop();
       if (last) filename = last;
     }
-    const buf = await resp.body();
+    filename = safeFilename(filename);
+    await assertDownloadAllowed(resp.url(), filename);
+    const buf = await timeStage('save', () => resp.body());
     const filePath = path.join(tmpDir, filename);
     fs.writeFileSync(filePath, buf);
-    return { filePath, filename: path.basename(filePath), cleanup: () => fs.rmSync(tmpDir, { recursive: true, force: true }) };
+    step('file saved');
+    return { filePath, filename: path.basename(filePath), metadata, cleanup };
+  } catch (err) {
+    // With diagnostics on, keep what the page looked like (login wall, captcha, changed layout) before the context closes
+    const { id = crypto.randomUUID(), ...details } = options.diagnostics || {};
+    const diagnosticsId = await captureFailure({
+      id,
+      context,
+      page,
+      error: err,
+      details: { ...details, templateUrl, adapter: adapter.id, account: account.label, stage },
+    });
+    if (diagnosticsId) {
+      err.diagnosticsId = diagnosticsId;
+      log.warn('download failed, diagnostics saved', { stage, diagnosticsId, error: err.message });
+    }
+    throw err;
   } finally {
-    await context.close().catch(() => {});
-    // Keep shared browser running for reuse
+    // Closes the context and frees the pool slot; the shared browser keeps running for reuse
+    await lease.release();
   }
 }
-
-
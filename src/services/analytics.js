@@ -0,0 +1,96 @@
+import {
+  downloadSummary, downloadSeries, downloadErrors, topTemplates, topTokens, topBatches,
+} from '../storage/analytics.js';
+
+export const BUCKETS = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+const BUCKET_FORMATS = { hour: '%Y-%m-%dT%H:00', day: '%Y-%m-%d' };
+// Longest series returned (31 days of hours, about three years of days)
+const MAX_BUCKETS = 1000;
+const DEFAULT_RANGE_MS = 7 * BUCKETS.day;
+
+/**
+ * Resolve the requested window. from/to are YYYY-MM-DD (whole days in the viewer's zone, `to` inclusive)
+ * or ISO timestamps; `tz` is the viewer's offset from UTC in minutes (480 for UTC+8).
+ * Without a bucket, ranges up to two days use hours and longer ones days. Throws on invalid input.
+ */
+export function resolveRange({ from, to, bucket, tz } = {}) {
+  const offset = tz != null && tz !== '' ? Number(tz) : 0;
+  if (!Number.isInteger(offset) || Math.abs(offset) > 14 * 60) throw new Error('tz must be an offset in minutes');
+  const parse = (value, name, endOfDay) => {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const midnight = Date.parse(`${value}T00:00:00Z`) - offset * 60 * 1000;
+      return endOfDay ? midnight + BUCKETS.day : midnight;
+    }
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) throw new Error(`${name} must be a date (YYYY-MM-DD) or ISO timestamp`);
+    return ms;
+  };
+  const toMs = to ? parse(String(to), 'to', true) : Date.now();
+  const fromMs = from ? parse(String(from), 'from', false) : toMs - DEFAULT_RANGE_MS;
+  if (fromMs >= toMs) throw new Error('from must be before to');
+  const size = bucket || (toMs - fromMs <= 2 * BUCKETS.day ? 'hour' : 'day');
+  if (!BUCKETS[size]) throw new Error(`bucket must be one of ${Object.keys(BUCKETS).join(', ')}`);
+  if ((toMs - fromMs) / BUCKETS[size] > MAX_BUCKETS) throw new Error(`range too long for ${size} buckets`);
+  return { fromIso: new Date(fromMs).toISOString(), toIso: new Date(toMs).toISOString(), bucket: size, tz: offset };
+}
+
+// Bucket label of a UTC timestamp in the viewer's zone, same format as the SQL grouping
+function bucketKey(ms, { bucket, tz }) {
+  const local = new Date(ms + tz * 60 * 1000).toISOString();
+  return bucket === 'hour' ? `${local.slice(0, 13)}:00` : local.slice(0, 10);
+}
+
+// Every bucket of the range in order, with zeros where nothing happened
+function fillSeries(rows, range) {
+  const byKey = new Map(rows.map(r => [r.bucket, r]));
+  const series = [];
+  const step = BUCKETS[range.bucket];
+  const fromMs = Date.parse(range.fromIso);
+  // Align the first bucket to its start in the viewer's zone
+  const tzMs = range.tz * 60 * 1000;
+  let ms = Math.floor((fromMs + tzMs) / step) * step - tzMs;
+  for (const toMs = Date.parse(range.toIso); ms < toMs; ms += step) {
+    const key = bucketKey(ms, range);
+    const row = byKey.get(key) || {};
+    series.push({
+      bucket: key,
+      success: row.success || 0,
+      failed: row.failed || 0,
+      rejected: row.rejected || 0,
+      aborted: row.aborted || 0,
+      bytes: row.bytes || 0,
+      avgDurationMs: row.avg_duration_ms != null ? Math.round(row.avg_duration_ms) : null,
+    });
+  }
+  return series;
+}
+
+/**
+ * Download analytics for the range: totals, a time series, common errors and top templates.
+ * `includeTokens` adds the most active tokens and batches (operators and up).
+ */
+export function downloadAnalytics(range, { includeTokens = false, limit = 10 } = {}) {
+  const shift = `${range.tz >= 0 ? '+' : '-'}${Math.abs(range.tz)} minutes`;
+  const summary = downloadSummary(range);
+  const result = {
+    range: { from: range.fromIso, to: range.toIso, bucket: range.bucket, tz: range.tz },
+    summary: {
+      attempts: summary.attempts,
+      success: summary.success || 0,
+      failed: summary.failed || 0,
+      rejected: summary.rejected || 0,
+      aborted: summary.aborted || 0,
+      bytes: summary.bytes || 0,
+      cacheHits: summary.cache_hits || 0,
+      avgDurationMs: summary.avg_duration_ms != null ? Math.round(summary.avg_duration_ms) : null,
+    },
+    series: fillSeries(downloadSeries(range, { format: BUCKET_FORMATS[range.bucket], shift }), range),
+    errors: downloadErrors(range, { limit }),
+    topTemplates: topTemplates(range, { limit }),
+  };
+  if (includeTokens) {
+    result.topTokens = topTokens(range, { limit });
+    result.topBatches = topBatches(range, { limit });
+  }
+  return result;
+}
@@ -0,0 +1,36 @@
+import { clientIp } from './downloadLog.js';
+import { insertAuditEntry, countAuditEntries, findAuditEntries } from '../storage/audit.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger({ module: 'audit' });
+
+/**
+ * Record an admin action. `req.admin` is the signed-in user (set by the admin auth middleware);
+ * pass `username` for actions without one (e.g. a failed login).
+ */
+export function recordAdminAction(req, action, { target = null, details = null, username = null } = {}) {
+  try {
+    insertAuditEntry({
+      userId: req.admin ? req.admin.id : null,
+      username: req.admin ? req.admin.username : String(username || ''),
+      action,
+      target: target == null ? null : String(target),
+      details,
+      ip: clientIp(req),
+    });
+  } catch (err) {
+    log.error('failed to record audit entry', { action, error: err });
+  }
+}
+
+export function queryAuditLog({ page = 1, pageSize = 50, username = '', action = '' } = {}) {
+  const size = Math.min(Math.max(parseInt(pageSize, 10) || 50, 1), 500);
+  const current = Math.max(parseInt(page, 10) || 1, 1);
+  const filters = { username: username || null, action: action || null };
+  return {
+    total: countAuditEntries(filters),
+    page: current,
+    pageSize: size,
+    data: findAuditEntries(filters, { limit: size, offset: (current - 1) * size }),
+  };
+}
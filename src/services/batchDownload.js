@@ -0,0 +1,51 @@
+import path from 'path';
+
+// Helpers for POST /api/batch-download: several templates delivered as one ZIP with a manifest.json
+
+export const MANIFEST_NAME = 'manifest.json';
+
+// Formats that are compressed already; storing them saves CPU for nothing lost
+const STORED_EXTENSIONS = new Set(['.pptx', '.zip', '.rar', '.7z', '.key']);
+
+// The submitted URLs, from an array or whitespace-separated text (one per line on the download page); duplicates dropped
+export function parseBatchUrls(input) {
+  const values = Array.isArray(input) ? input : String(input ?? '').split(/\s+/);
+  return [...new Set(values.map(v => String(v ?? '').trim()).filter(Boolean))];
+}
+
+// File name inside the archive: no directories or control characters, "name (2).pptx" for repeats
+export function archiveEntryName(filename, used) {
+  const clean = String(filename || '').replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').trim() || 'template';
+  const ext = path.extname(clean);
+  const base = clean.slice(0, clean.length - ext.length);
+  let name = clean;
+  for (let n = 2; used.has(name.toLowerCase()) || name.toLowerCase() === MANIFEST_NAME; n++) name = `${base} (${n})${ext}`;
+  used.add(name.toLowerCase());
+  return name;
+}
+
+export function isStoredFormat(name) {
+  return STORED_EXTENSIONS.has(path.extname(name).toLowerCase());
+}
+
+export function batchArchiveName(date = new Date()) {
+  const stamp = date.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  return `aippt-templates-${stamp}.zip`;
+}
+
+/**
+ * manifest.json: one entry per submitted URL, in order.
+ * items: [{ url, file?, size?, cached?, failure? }] where `failure` is a DownloadError.
+ */
+export function batchManifest(items, date = new Date()) {
+  const succeeded = items.filter(item => item.file).length;
+  return {
+    createdAt: date.toISOString(),
+    total: items.length,
+    succeeded,
+    failed: items.length - succeeded,
+    items: items.map((item, i) => (item.file
+      ? { index: i + 1, url: item.url, status: 'success', file: item.file, size: item.size, cached: !!item.cached }
+      : { index: i + 1, url: item.url, status: 'failed', code: item.failure.code, error: item.failure.publicMessage })),
+  };
+}
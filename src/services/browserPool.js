@@ -0,0 +1,238 @@
+import { chromium } from 'playwright';
+import fs from 'fs';
+import { config } from '../config.js';
+import { createLogger } from '../logger.js';
+import { DownloadError } from './errors.js';
+
+const log = createLogger({ module: 'pool' });
+
+// Pool settings
+const MAX_CONTEXTS = config.POOL_MAX_CONTEXTS;
+const QUEUE_TIMEOUT_MS = config.POOL_QUEUE_TIMEOUT_MS;
+const RECYCLE_AFTER_JOBS = config.POOL_RECYCLE_AFTER_JOBS;
+const RECYCLE_MEMORY_MB = config.POOL_RECYCLE_MEMORY_MB;
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--no-zygote'
+];
+
+let sharedBrowser = null;
+let launchingBrowser = null;
+let jobsOnBrowser = 0;
+let recycling = false;
+let active = 0;
+
+// Fair queue: one FIFO per key (token), served round-robin across keys
+const queues = new Map();
+let keyOrder = [];
+
+async function getSharedBrowser(headless, slowMo) {
+  if (sharedBrowser && sharedBrowser.isConnected()) return sharedBrowser;
+  if (launchingBrowser) {
+    try { await launchingBrowser; } catch (_) { /* ignore */ }
+    if (sharedBrowser && sharedBrowser.isConnected()) return sharedBrowser;
+  }
+  launchingBrowser = chromium.launch({ headless, slowMo, args: LAUNCH_ARGS }).then((b) => {
+    sharedBrowser = b;
+    launchingBrowser = null;
+    jobsOnBrowser = 0;
+    try {
+      b.on('disconnected', () => { if (sharedBrowser === b) sharedBrowser = null; });
+    } catch (_) {}
+    return b;
+  }).catch((e) => { launchingBrowser = null; throw e; });
+  sharedBrowser = await launchingBrowser;
+  return sharedBrowser;
+}
+
+// Resident memory (MB) of every process spawned by this Node process, i.e. Chromium and its helpers.
+// Linux only; elsewhere reports 0 so only the job-count limit applies.
+function browserMemoryMb() {
+  let entries;
+  try { entries = fs.readdirSync('/proc'); } catch (_) { return 0; }
+  const parents = new Map();
+  const rss = new Map();
+  for (const name of entries) {
+    if (!/^\d+$/.test(name)) continue;
+    try {
+      const status = fs.readFileSync(`/proc/${name}/status`, 'utf8');
+      const ppid = /^PPid:\s+(\d+)/m.exec(status);
+      const vmRss = /^VmRSS:\s+(\d+)\s+kB/m.exec(status);
+      parents.set(Number(name), ppid ? Number(ppid[1]) : 0);
+      rss.set(Number(name), vmRss ? Number(vmRss[1]) : 0);
+    } catch (_) {}
+  }
+  let totalKb = 0;
+  for (const [pid, kb] of rss) {
+    let p = parents.get(pid);
+    for (let depth = 0; p && depth < 16; depth++) {
+      if (p === process.pid) { totalKb += kb; break; }
+      p = parents.get(p);
+    }
+  }
+  return Math.round(totalKb / 1024);
+}
+
+function queuedCount() {
+  let n = 0;
+  for (const q of queues.values()) n += q.length;
+  return n;
+}
+
+// 1-based position a waiter would be served at under round-robin scheduling
+function positionOf(waiter) {
+  const q = queues.get(waiter.key) || [];
+  const idx = q.indexOf(waiter);
+  if (idx < 0) return 0;
+  let position = 1;
+  for (const key of keyOrder) {
+    const len = (queues.get(key) || []).length;
+    position += Math.min(len, idx);
+    if (key === waiter.key) continue;
+    if (keyOrder.indexOf(key) < keyOrder.indexOf(waiter.key) && len > idx) position += 1;
+  }
+  return position;
+}
+
+function notifyPositions() {
+  for (const q of queues.values()) {
+    for (const waiter of q) {
+      const position = positionOf(waiter);
+      if (position !== waiter.lastPosition) {
+        waiter.lastPosition = position;
+        try { waiter.onQueue(position); } catch (_) {}
+      }
+    }
+  }
+}
+
+function removeWaiter(waiter) {
+  const q = queues.get(waiter.key);
+  if (!q) return;
+  const idx = q.indexOf(waiter);
+  if (idx >= 0) q.splice(idx, 1);
+  if (q.length === 0) {
+    queues.delete(waiter.key);
+    keyOrder = keyOrder.filter(k => k !== waiter.key);
+  }
+}
+
+function nextWaiter() {
+  const key = keyOrder.shift();
+  if (key == null) return null;
+  const q = queues.get(key);
+  const waiter = q.shift();
+  if (q.length > 0) keyOrder.push(key);
+  else queues.delete(key);
+  return waiter;
+}
+
+async function recycleBrowser() {
+  const b = sharedBrowser;
+  sharedBrowser = null;
+  log.info('recycling browser', { jobs: jobsOnBrowser });
+  if (b) await b.close().catch(() => {});
+  jobsOnBrowser = 0;
+  recycling = false;
+  dispatch();
+}
+
+function dispatch() {
+  if (recycling) {
+    if (active === 0) recycleBrowser();
+    return;
+  }
+  while (active < MAX_CONTEXTS && keyOrder.length > 0) {
+    const waiter = nextWaiter();
+    clearTimeout(waiter.timer);
+    active += 1;
+    waiter.resolve();
+  }
+  notifyPositions();
+}
+
+function release() {
+  active = Math.max(0, active - 1);
+  if (!recycling && sharedBrowser) {
+    const overJobs = jobsOnBrowser >= RECYCLE_AFTER_JOBS;
+    const overMemory = !overJobs && browserMemoryMb() >= RECYCLE_MEMORY_MB;
+    if (overJobs || overMemory) recycling = true;
+  }
+  dispatch();
+}
+
+function waitForSlot(key, onQueue, timeoutMs) {
+  if (!recycling && active < MAX_CONTEXTS && keyOrder.length === 0) {
+    active += 1;
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const waiter = { key, resolve, onQueue, lastPosition: 0, timer: null };
+    waiter.timer = setTimeout(() => {
+      removeWaiter(waiter);
+      notifyPositions();
+      reject(new DownloadError('QUEUE_TIMEOUT'));
+    }, timeoutMs);
+    if (!queues.has(key)) {
+      queues.set(key, []);
+      keyOrder.push(key);
+    }
+    queues.get(key).push(waiter);
+    notifyPositions();
+  });
+}
+
+/**
+ * Wait for a free slot (fair across `key`) and open a browser context in it.
+ * `onQueue(position)` is called while waiting; `release()` must be called when done.
+ */
+export async function acquireContext({ key = 'anonymous', headless = true, slowMo = 0, contextOptions = {}, onQueue = () => {}, timeoutMs = QUEUE_TIMEOUT_MS } = {}) {
+  await waitForSlot(String(key), onQueue, timeoutMs);
+  let released = false;
+  const releaseSlot = () => {
+    if (released) return;
+    released = true;
+    release();
+  };
+  try {
+    let browser = await getSharedBrowser(headless, slowMo);
+    let context;
+    try {
+      context = await browser.newContext(contextOptions);
+    } catch (e) {
+      // Browser may have been closed/crashed; relaunch and retry once
+      sharedBrowser = null;
+      browser = await getSharedBrowser(headless, slowMo);
+      context = await browser.newContext(contextOptions);
+    }
+    jobsOnBrowser += 1;
+    return {
+      browser,
+      context,
+      release: async () => {
+        await context.close().catch(() => {});
+        releaseSlot();
+      }
+    };
+  } catch (err) {
+    releaseSlot();
+    throw err;
+  }
+}
+
+export function getPoolStatus() {
+  return {
+    maxContexts: MAX_CONTEXTS,
+    active,
+    queued: queuedCount(),
+    browserConnected: !!(sharedBrowser && sharedBrowser.isConnected()),
+    jobsOnBrowser,
+    recycling,
+    recycleAfterJobs: RECYCLE_AFTER_JOBS,
+    recycleMemoryMb: RECYCLE_MEMORY_MB,
+  };
+}
@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+import { clientIp } from './downloadLog.js';
+import { readCookie } from './cookies.js';
+import { hasTokenClient, countTokenClients, touchTokenClient } from '../storage/tokenClients.js';
+
+// Random id the download page keeps in a cookie; hashed with the user agent into the device fingerprint
+export const DEVICE_COOKIE = 'dl_device';
+
+/**
+ * Who is making the request: `{ ip, device, userAgent }`.
+ * Without the cookie (scripts, other pages) the device falls back to the user agent alone.
+ */
+export function identifyClient(req) {
+  const userAgent = String(req.headers['user-agent'] || '');
+  const cookie = readCookie(req, DEVICE_COOKIE) || '';
+  const device = crypto.createHash('sha256').update(`${cookie}\n${userAgent}`).digest('hex').slice(0, 32);
+  return { ip: clientIp(req), device, userAgent };
+}
+
+/**
+ * Whether the token's binding policy lets `client` use it.
+ * bind_mode 'device' / 'ip' allows at most max_clients (default 1) distinct devices / IPs; the first ones seen keep access.
+ */
+export function checkClientBinding(tokenRow, client) {
+  if (!tokenRow || !tokenRow.bind_mode || !client) return { ok: true };
+  const kind = tokenRow.bind_mode;
+  const value = kind === 'ip' ? client.ip : client.device;
+  if (hasTokenClient(tokenRow.id, kind, value)) return { ok: true };
+  if (countTokenClients(tokenRow.id, kind) < (tokenRow.max_clients || 1)) return { ok: true };
+  return { ok: false, reason: kind === 'ip' ? 'ip_limit' : 'device_limit' };
+}
+
+// Remember the client's device and IP against the token once it has received a file (both are tracked whatever the policy)
+export function recordClient(tokenId, client) {
+  if (!client) return;
+  const seenAt = new Date().toISOString();
+  touchTokenClient(tokenId, { kind: 'device', value: client.device, userAgent: client.userAgent }, seenAt);
+  if (client.ip) touchTokenClient(tokenId, { kind: 'ip', value: client.ip, userAgent: client.userAgent }, seenAt);
+}
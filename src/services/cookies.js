@@ -0,0 +1,20 @@
+// Minimal cookie helpers; the app only needs to read one value and set a few flags
+
+export function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq > 0 && part.slice(0, eq).trim() === name) {
+      try { return decodeURIComponent(part.slice(eq + 1).trim()); } catch (_) { return null; }
+    }
+  }
+  return null;
+}
+
+// Set-Cookie value; `maxAge` in seconds (0 deletes the cookie), omitted for a browser-session cookie
+export function serializeCookie(name, value, { maxAge = null, httpOnly = true, secure = false, sameSite = 'Strict', path = '/' } = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`, `Path=${path}`, `SameSite=${sameSite}`];
+  if (maxAge != null) parts.push(`Max-Age=${maxAge}`);
+  if (httpOnly) parts.push('HttpOnly');
+  if (secure) parts.push('Secure');
+  return parts.join('; ');
+}
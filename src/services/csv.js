@@ -0,0 +1,15 @@
+function csvCell(value) {
+  if (value == null) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Header line of `columns`, then one line per row object
+export function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(col => csvCell(row[col])).join(','));
+  }
+  // BOM so Excel opens the UTF-8 file with the right encoding
+  return '\uFEFF' + lines.join('\r\n');
+}
@@ -0,0 +1,195 @@
+import path from 'path';
+import fs from 'fs';
+import { config } from '../config.js';
+import { createLogger } from '../logger.js';
+import { createZip, readZip } from './zip.js';
+
+// Evidence of failed browser downloads, one directory per job (or request) under DIAGNOSTICS_DIR:
+// meta.json, screenshot.png (full page), page.html (DOM at the time of failure) and trace.zip (Playwright trace).
+
+const log = createLogger({ module: 'diagnostics' });
+
+const ENABLED = config.DIAGNOSTICS_ENABLED;
+const TRACE = config.DIAGNOSTICS_TRACE;
+const diagnosticsDir = config.DIAGNOSTICS_DIR;
+const MAX_ENTRIES = config.DIAGNOSTICS_MAX_ENTRIES;
+const MAX_AGE_MS = config.DIAGNOSTICS_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+
+// Files an entry may contain, with the type they are served as; page.html and trace.zip are for owners only
+export const DIAGNOSTIC_FILES = {
+  'meta.json': 'application/json; charset=utf-8',
+  'screenshot.png': 'image/png',
+  'page.html': 'text/html; charset=utf-8',
+  'trace.zip': 'application/zip',
+};
+
+const ID_PATTERN = /^[\w-]{1,64}$/;
+
+export function diagnosticsEnabled() {
+  return ENABLED;
+}
+
+function entryDir(id) {
+  if (!ID_PATTERN.test(String(id))) return null;
+  return path.join(diagnosticsDir, String(id));
+}
+
+// Start recording a trace for the context when diagnostics are on; failures to start are only logged
+export async function startDiagnostics(context) {
+  if (!ENABLED || !TRACE) return;
+  try {
+    await context.tracing.start({ screenshots: true, snapshots: true });
+  } catch (err) {
+    log.warn('could not start trace', { error: err.message });
+  }
+}
+
+// The login step types the account's password: tracing stops before it, dropping what was recorded so far,
+// and starts again (resumeTracing) once the session is saved
+export async function suspendTracing(context) {
+  if (!ENABLED || !TRACE) return;
+  await context.tracing.stop().catch(err => log.debug('could not stop trace', { error: err.message }));
+}
+
+export async function resumeTracing(context) {
+  await startDiagnostics(context);
+}
+
+const SECRET_HEADERS = new Set(['cookie', 'set-cookie', 'authorization']);
+
+// Drop session state from one trace event: the context's storageState, cookie lists and auth headers
+function scrubTraceEvent(value) {
+  if (Array.isArray(value)) return value.map(scrubTraceEvent);
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    if (key === 'storageState') continue;
+    if (key === 'cookies' && Array.isArray(v)) out[key] = [];
+    else if (SECRET_HEADERS.has(key.toLowerCase()) && typeof v === 'string') out[key] = '[redacted]';
+    else out[key] = scrubTraceEvent(v);
+  }
+  // HAR style headers: [{ name, value }]
+  if (typeof out.name === 'string' && typeof out.value === 'string' && SECRET_HEADERS.has(out.name.toLowerCase())) {
+    out.value = '[redacted]';
+  }
+  return out;
+}
+
+// Rewrite a Playwright trace without cookies: its event logs (*.trace, *.network) are JSON lines
+export function scrubTrace(buf) {
+  return createZip(readZip(buf).map((entry) => {
+    if (!/\.(trace|network)$/.test(entry.name)) return entry;
+    const lines = entry.data.toString('utf8').split('\n').flatMap((line) => {
+      if (!line.trim()) return [];
+      try { return [JSON.stringify(scrubTraceEvent(JSON.parse(line)))]; } catch (_) { return []; }
+    });
+    return { ...entry, data: lines.join('\n') + '\n' };
+  }));
+}
+
+/**
+ * Save what the page looked like when the download failed. Each part is best effort:
+ * a crashed page may still yield a trace, a closed one only meta.json. Returns the entry id or null.
+ */
+export async function captureFailure({ id, context, page, error, details = {} }) {
+  if (!ENABLED) return null;
+  const dir = entryDir(id);
+  if (!dir) return null;
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    const meta = {
+      id: String(id),
+      createdAt: new Date().toISOString(),
+      error: { message: error && error.message, code: error && error.code, stack: error && error.stack },
+      ...details,
+    };
+    try {
+      meta.pageUrl = page.url();
+      meta.pageTitle = await page.title();
+    } catch (_) {}
+    fs.writeFileSync(path.join(dir, 'meta.json'), JSON.stringify(meta, null, 2));
+    await page.screenshot({ path: path.join(dir, 'screenshot.png'), fullPage: true, timeout: 10000 })
+      .catch(err => log.debug('screenshot failed', { id, error: err.message }));
+    await page.content()
+      .then(html => fs.writeFileSync(path.join(dir, 'page.html'), html))
+      .catch(err => log.debug('HTML snapshot failed', { id, error: err.message }));
+    if (TRACE) await saveTrace(context, dir, id);
+    log.info('captured failure diagnostics', { id, dir });
+  } catch (err) {
+    log.warn('could not capture diagnostics', { id, error: err.message });
+    return null;
+  }
+  pruneDiagnostics();
+  return String(id);
+}
+
+// Only the scrubbed trace is kept; if scrubbing fails there is no trace at all
+async function saveTrace(context, dir, id) {
+  const raw = path.join(dir, 'trace.raw.zip');
+  try {
+    await context.tracing.stop({ path: raw });
+    fs.writeFileSync(path.join(dir, 'trace.zip'), scrubTrace(fs.readFileSync(raw)));
+  } catch (err) {
+    log.debug('trace not saved', { id, error: err.message });
+  } finally {
+    fs.rmSync(raw, { force: true });
+  }
+}
+
+function readEntry(id) {
+  const dir = entryDir(id);
+  if (!dir) return null;
+  let meta;
+  try {
+    meta = JSON.parse(fs.readFileSync(path.join(dir, 'meta.json'), 'utf8'));
+  } catch (_) {
+    return null;
+  }
+  const files = Object.keys(DIAGNOSTIC_FILES).flatMap((name) => {
+    try {
+      return [{ name, size: fs.statSync(path.join(dir, name)).size }];
+    } catch (_) {
+      return [];
+    }
+  });
+  return { ...meta, id: String(id), files };
+}
+
+// Newest first
+export function listDiagnostics() {
+  let names = [];
+  try { names = fs.readdirSync(diagnosticsDir); } catch (_) {}
+  return names.map(readEntry).filter(Boolean).sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+export function getDiagnostic(id) {
+  return readEntry(id);
+}
+
+// Absolute path of one file of an entry, or null when the id, name or file is unknown
+export function diagnosticFilePath(id, name) {
+  const dir = entryDir(id);
+  if (!dir || !Object.hasOwn(DIAGNOSTIC_FILES, name)) return null;
+  const file = path.join(dir, name);
+  return fs.existsSync(file) ? file : null;
+}
+
+export function deleteDiagnostic(id) {
+  const dir = entryDir(id);
+  if (!dir || !fs.existsSync(dir)) return false;
+  fs.rmSync(dir, { recursive: true, force: true });
+  return true;
+}
+
+// Drop entries older than DIAGNOSTICS_MAX_AGE_DAYS, then the oldest beyond DIAGNOSTICS_MAX_ENTRIES
+export function pruneDiagnostics(now = Date.now()) {
+  const entries = listDiagnostics();
+  let removed = 0;
+  entries.forEach((entry, i) => {
+    if (i >= MAX_ENTRIES || now - new Date(entry.createdAt).getTime() > MAX_AGE_MS) {
+      if (deleteDiagnostic(entry.id)) removed += 1;
+    }
+  });
+  if (removed) log.info('pruned diagnostics', { removed });
+  return removed;
+}
@@ -0,0 +1,114 @@
+import { insertDownload, countDownloads, findDownloads } from '../storage/downloads.js';
+import { config } from '../config.js';
+import { toCsv } from './csv.js';
+import { countDownload } from './metrics.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger({ module: 'downloads' });
+
+// Oldest records are dropped beyond this many entries to keep the history table bounded
+const MAX_RECORDS = config.DOWNLOAD_LOG_MAX;
+
+export const DOWNLOAD_OUTCOMES = ['success', 'failed', 'rejected', 'aborted'];
+
+const CSV_COLUMNS = [
+  'id', 'created_at', 'token', 'route', 'template_url', 'input_url', 'filename', 'bytes',
+  'duration_ms', 'cached', 'client_ip', 'user_agent', 'outcome', 'code', 'error'
+];
+
+// X-Forwarded-For only counts through the proxies TRUST_PROXY names; Express resolves it into req.ip
+export function clientIp(req) {
+  return req.ip || (req.socket && req.socket.remoteAddress) || '';
+}
+
+export function recordDownload(entry) {
+  return insertDownload({
+    created_at: new Date().toISOString(),
+    token: entry.token || null,
+    route: entry.route || '',
+    template_url: entry.url || null,
+    input_url: entry.input || null,
+    filename: entry.filename || null,
+    bytes: Number(entry.bytes || 0),
+    duration_ms: entry.durationMs != null ? Math.round(entry.durationMs) : null,
+    cached: !!entry.cached,
+    client_ip: entry.ip || '',
+    user_agent: entry.userAgent || '',
+    outcome: entry.outcome,
+    // Stable code from errors.js; `error` keeps the detail
+    code: entry.code || null,
+    error: entry.error || null,
+  }, { maxRecords: MAX_RECORDS });
+}
+
+/**
+ * Start timing a download attempt for `req`. Call `finish({ outcome, ... })` exactly once;
+ * later calls are ignored so error and close handlers can both report safely.
+ * `input` is the template URL as submitted; `url` (or setUrl once validated) only ever holds a validated http(s) URL.
+ */
+export function startDownloadAttempt(req, { token, url = null, input = null, route }) {
+  const startedAt = Date.now();
+  let finished = false;
+  const base = {
+    token,
+    url,
+    input,
+    route,
+    ip: clientIp(req),
+    userAgent: String(req.headers['user-agent'] || ''),
+  };
+  return {
+    setUrl(validated) {
+      base.url = validated;
+    },
+    finish(result) {
+      if (finished) return;
+      finished = true;
+      countDownload(result);
+      try {
+        recordDownload({ ...base, ...result, durationMs: Date.now() - startedAt });
+      } catch (err) {
+        log.error('failed to record download attempt', { error: err });
+      }
+    },
+  };
+}
+
+// Filters: token, from/to (YYYY-MM-DD or ISO, inclusive), outcome
+function toRangeFilters({ token, from, to, outcome }) {
+  let toIso = null;
+  if (to) {
+    const toDate = new Date(to);
+    // A bare date means "through the end of that day"
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(to))) toDate.setUTCDate(toDate.getUTCDate() + 1);
+    toIso = toDate.toISOString();
+  }
+  return {
+    token: token || null,
+    outcome: outcome || null,
+    fromIso: from ? new Date(from).toISOString() : null,
+    toIso,
+  };
+}
+
+// One page of matching attempts, newest first
+export function queryDownloads({ page = 1, pageSize = 50, ...filters } = {}) {
+  const range = toRangeFilters(filters);
+  const size = Math.min(Math.max(parseInt(pageSize, 10) || 50, 1), 1000);
+  const current = Math.max(parseInt(page, 10) || 1, 1);
+  return {
+    data: findDownloads(range, { limit: size, offset: (current - 1) * size }),
+    total: countDownloads(range),
+    page: current,
+    pageSize: size,
+  };
+}
+
+// Every matching attempt, newest first (for exports)
+export function exportDownloads(filters = {}) {
+  return findDownloads(toRangeFilters(filters));
+}
+
+export function downloadsToCsv(rows) {
+  return toCsv(CSV_COLUMNS, rows);
+}
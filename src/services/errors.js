@@ -0,0 +1,89 @@
+// Download failures as stable, machine-readable codes. Each code has the HTTP status it is answered with
+// and the message shown on the download page; `err.message` keeps the technical detail for the logs.
+
+export const DOWNLOAD_ERRORS = {
+  // The request
+  TOKEN_MISSING: { status: 401, message: '缺少下载链接信息，请通过完整的下载链接打开本页面' },
+  URL_MISSING: { status: 400, message: '请先填写模版链接' },
+  JOB_NOT_FOUND: { status: 404, message: '下载任务不存在或已过期，请重新下载' },
+  JOB_NOT_READY: { status: 409, message: '文件还没有准备好，请稍候' },
+  FILE_DELIVERED: { status: 410, message: '该文件已经下载过，如需再次下载请重新提交' },
+  // The link itself
+  TOKEN_NOT_FOUND: { status: 404, message: '下载链接不存在，请检查链接是否完整' },
+  TOKEN_DISABLED: { status: 403, message: '该链接已被停用，请联系发放链接的人' },
+  TOKEN_EXPIRED: { status: 410, message: '该链接已过期，请联系发放链接的人获取新链接' },
+  TOKEN_EXHAUSTED: { status: 410, message: '该链接的下载次数已用完，请联系发放链接的人获取新链接' },
+  DEVICE_LIMIT: { status: 403, message: '该链接已绑定其他设备，请在首次下载时使用的设备上打开' },
+  IP_LIMIT: { status: 403, message: '该链接已在其他网络中使用，请切换回首次下载时的网络' },
+  QUOTA_INSUFFICIENT: { status: 403, message: '剩余下载次数不够下载全部模版，请减少模版数量后重试' },
+  // Temporary refusals, answered with Retry-After
+  COOLDOWN: { status: 429, message: '下载过于频繁，请稍后再试' },
+  PERIOD_LIMIT: { status: 429, message: '本周期的下载次数已用完，请稍后再试' },
+  CONCURRENCY: { status: 429, message: '该链接已有下载正在进行，请等待完成后再试' },
+  RATE_LIMITED: { status: 429, message: '请求过于频繁，请稍后再试' },
+  LOCKED_OUT: { status: 429, message: '失败次数过多，已暂时锁定，请稍后再试' },
+  // The template URL (UrlPolicyError from urlPolicy.js shows its own, more specific message)
+  URL_INVALID: { status: 400, message: '模版链接格式不正确，请复制浏览器地址栏中的完整链接' },
+  UNSUPPORTED_SITE: { status: 400, message: '暂不支持该网站的模版链接' },
+  BATCH_TOO_LARGE: { status: 400, message: '一次提交的模版链接过多，请分批下载' },
+  // The template site
+  UPSTREAM_LOGIN_FAILED: { status: 502, message: '模版网站登录失败，请稍后重试；多次失败请联系管理员' },
+  CAPTCHA_REQUIRED: { status: 503, message: '模版网站要求人工验证，暂时无法自动下载，请稍后重试或联系管理员' },
+  DOWNLOAD_BUTTON_MISSING: { status: 502, message: '模版页面上没有找到下载按钮，请确认链接是模版详情页' },
+  DOWNLOAD_NOT_STARTED: { status: 502, message: '模版网站没有开始下载，请稍后重试' },
+  UPSTREAM_TIMEOUT: { status: 504, message: '模版网站响应超时，请稍后重试' },
+  // This server
+  QUEUE_TIMEOUT: { status: 503, message: '当前下载人数较多，排队超时，请稍后重试' },
+  NO_ACCOUNT_AVAILABLE: { status: 503, message: '暂无可用的下载账号，请稍后重试' },
+  TRANSFER_TIMEOUT: { status: 408, message: '文件传输超时，请重新下载（本次未计入下载次数）' },
+  TRANSFER_ABORTED: { status: 500, message: '文件传输中断，请重新下载（本次未计入下载次数）' },
+  DOWNLOAD_FAILED: { status: 500, message: '下载失败，请稍后重试' },
+};
+
+// Refusal reasons from quota.js, clientBinding.js and rateLimit.js
+const REFUSAL_CODES = {
+  not_found: 'TOKEN_NOT_FOUND',
+  disabled: 'TOKEN_DISABLED',
+  expired: 'TOKEN_EXPIRED',
+  exhausted: 'TOKEN_EXHAUSTED',
+  device_limit: 'DEVICE_LIMIT',
+  ip_limit: 'IP_LIMIT',
+  insufficient_quota: 'QUOTA_INSUFFICIENT',
+  cooldown: 'COOLDOWN',
+  period_limit: 'PERIOD_LIMIT',
+  concurrency: 'CONCURRENCY',
+  rate_limited: 'RATE_LIMITED',
+  locked_out: 'LOCKED_OUT',
+};
+
+/**
+ * A download failure with a code from DOWNLOAD_ERRORS. `detail` becomes err.message (defaults to the code's message).
+ * options: status (overrides the code's), accountFault (false when the aippt.cn account is not to blame), cause.
+ */
+export class DownloadError extends Error {
+  constructor(code, detail = null, { status = null, accountFault, cause } = {}) {
+    super(detail || (DOWNLOAD_ERRORS[code] || DOWNLOAD_ERRORS.DOWNLOAD_FAILED).message, cause ? { cause } : undefined);
+    this.name = 'DownloadError';
+    this.code = code;
+    this.status = status || (DOWNLOAD_ERRORS[code] || DOWNLOAD_ERRORS.DOWNLOAD_FAILED).status;
+    if (accountFault !== undefined) this.accountFault = accountFault;
+  }
+
+  // What the client gets: the code's message, or err.message for codes outside the catalogue
+  get publicMessage() {
+    return DOWNLOAD_ERRORS[this.code] ? DOWNLOAD_ERRORS[this.code].message : this.message;
+  }
+}
+
+export function refusalError(reason) {
+  return new DownloadError(REFUSAL_CODES[reason] || 'DOWNLOAD_FAILED', reason);
+}
+
+// Any thrown value as a DownloadError: Playwright timeouts become UPSTREAM_TIMEOUT, anything unknown DOWNLOAD_FAILED
+export function toDownloadError(err) {
+  if (err instanceof DownloadError) return err;
+  const detail = err && err.message ? err.message : String(err);
+  if (err && err.name === 'TimeoutError') return new DownloadError('UPSTREAM_TIMEOUT', detail, { cause: err });
+  if (err && DOWNLOAD_ERRORS[err.code]) return new DownloadError(err.code, detail, { cause: err });
+  return new DownloadError('DOWNLOAD_FAILED', detail, { cause: err });
+}
@@ -0,0 +1,149 @@
+import { EventEmitter } from 'events';
+import { nanoid } from 'nanoid';
+import { config } from '../config.js';
+import { toDownloadError } from './errors.js';
+
+// Lifecycle of a download job, in the order a successful job goes through them
+export const JOB_STATES = ['queued', 'loading_page', 'logging_in', 'downloading', 'ready', 'failed'];
+const TERMINAL_STATES = new Set(['ready', 'failed']);
+
+// Finished jobs keep their temp file around until fetched or until the TTL passes
+const JOB_TTL_MS = config.JOB_TTL_MS;
+
+const jobs = new Map();
+
+function touch(job) {
+  job.updatedAt = new Date().toISOString();
+}
+
+export function publicJob(job) {
+  return {
+    id: job.id,
+    state: job.state,
+    queuePosition: job.queuePosition,
+    url: job.url,
+    filename: job.filename,
+    size: job.size,
+    cached: job.cached,
+    bytesSent: job.bytesSent,
+    delivered: job.delivered,
+    error: job.error,
+    errorCode: job.errorCode,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+function emitUpdate(job, event) {
+  touch(job);
+  job.events.emit('update', { event, job: publicJob(job) });
+}
+
+export function isTerminal(job) {
+  return TERMINAL_STATES.has(job.state);
+}
+
+/**
+ * Create a job and start running `worker` in the background.
+ * The worker receives `{ setStage, setQueuePosition, job }` and must resolve to `{ filePath, filename, size, cleanup, cached }`.
+ */
+export function createJob({ token, url }, worker) {
+  const nowIso = new Date().toISOString();
+  const job = {
+    id: nanoid(16),
+    token,
+    url,
+    state: 'queued',
+    queuePosition: null,
+    filename: null,
+    size: null,
+    cached: false,
+    bytesSent: 0,
+    delivered: false,
+    error: null,
+    errorCode: null,
+    // The DownloadError behind a failed job; its detail is logged, never shown to clients
+    failure: null,
+    createdAt: nowIso,
+    updatedAt: nowIso,
+    filePath: null,
+    cleanup: null,
+    events: new EventEmitter(),
+  };
+  job.events.setMaxListeners(0);
+  jobs.set(job.id, job);
+
+  const setStage = (state) => {
+    if (isTerminal(job) || job.state === state) return;
+    job.state = state;
+    job.queuePosition = null;
+    emitUpdate(job, 'stage');
+  };
+
+  const setQueuePosition = (position) => {
+    if (job.state !== 'queued') return;
+    job.queuePosition = position;
+    emitUpdate(job, 'queue');
+  };
+
+  Promise.resolve()
+    .then(() => worker({ setStage, setQueuePosition, job }))
+    .then((result) => {
+      job.filePath = result.filePath;
+      job.filename = result.filename;
+      job.size = result.size ?? null;
+      job.cached = !!result.cached;
+      job.cleanup = result.cleanup || null;
+      job.state = 'ready';
+      job.queuePosition = null;
+      emitUpdate(job, 'stage');
+    })
+    .catch((err) => {
+      job.state = 'failed';
+      job.queuePosition = null;
+      job.failure = toDownloadError(err);
+      job.error = job.failure.publicMessage;
+      job.errorCode = job.failure.code;
+      emitUpdate(job, 'stage');
+    });
+
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+export function reportTransfer(job, bytesSent) {
+  job.bytesSent = bytesSent;
+  emitUpdate(job, 'progress');
+}
+
+export function markDelivered(job) {
+  job.delivered = true;
+  emitUpdate(job, 'delivered');
+  releaseFile(job);
+}
+
+function releaseFile(job) {
+  if (job.cleanup) {
+    try { job.cleanup(); } catch (_) {}
+  }
+  job.cleanup = null;
+  job.filePath = null;
+}
+
+// Drop finished jobs (and their temp files) once they are older than the TTL
+const sweeper = setInterval(() => {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const job of jobs.values()) {
+    if (!isTerminal(job)) continue;
+    if (new Date(job.updatedAt).getTime() > cutoff) continue;
+    releaseFile(job);
+    // Lets the owner hand back anything held for a file nobody fetched
+    if (!job.delivered) job.events.emit('expired', { job: publicJob(job) });
+    job.events.removeAllListeners();
+    jobs.delete(job.id);
+  }
+}, 60 * 1000);
+sweeper.unref();
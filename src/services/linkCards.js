@@ -0,0 +1,74 @@
+import { acquireContext } from './browserPool.js';
+import { encodeQr, qrToSvg } from './qrcode.js';
+
+// Cards printed on one sheet are capped so a PDF render stays quick
+export const MAX_CARDS = 500;
+
+function escapeHtml(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function quotaText(quota) {
+  const parts = [quota.max_downloads != null ? `可下载 ${quota.max_downloads} 次` : '下载次数不限'];
+  if (quota.period && quota.period_limit != null) parts.push(`${quota.period === 'week' ? '每 7 天' : '每 24 小时'}最多 ${quota.period_limit} 次`);
+  return parts.join('，');
+}
+
+function expiryText(quota) {
+  const parts = [];
+  if (quota.expires_at) parts.push(`有效期至 ${quota.expires_at}`);
+  if (quota.valid_for_hours) parts.push(`首次使用后 ${quota.valid_for_hours} 小时内有效`);
+  return parts.length ? parts.join('，') : '长期有效';
+}
+
+/**
+ * Printable A4 sheet of cards, one per link: QR code, URL, quota and expiry.
+ * cards: [{ url, quota (from describeQuota), note }]
+ */
+export function renderCardsHtml(cards, { title = '下载卡片' } = {}) {
+  const items = cards.map(card => `
+    <div class="card">
+      <div class="qr">${qrToSvg(encodeQr(card.url, { level: 'M' }), { scale: 4 })}</div>
+      <div class="info">
+        ${card.note ? `<div class="note">${escapeHtml(card.note)}</div>` : ''}
+        <div class="url">${escapeHtml(card.url)}</div>
+        <div>${escapeHtml(quotaText(card.quota))}</div>
+        <div>${escapeHtml(expiryText(card.quota))}</div>
+      </div>
+    </div>`).join('');
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeHtml(title)}</title>
+  <style>
+    @page { size: A4; margin: 10mm; }
+    body { margin: 0; font-family: -apple-system, 'Segoe UI', Roboto, 'Noto Sans', 'PingFang SC', 'Microsoft YaHei', sans-serif; color: #111; }
+    .sheet { display: grid; grid-template-columns: repeat(2, 1fr); gap: 4mm; }
+    .card { display: flex; gap: 4mm; align-items: center; border: 1px dashed #999; border-radius: 3mm; padding: 4mm; break-inside: avoid; }
+    .qr svg { width: 32mm; height: 32mm; display: block; }
+    .info { font-size: 10pt; line-height: 1.5; min-width: 0; }
+    .note { font-weight: 600; font-size: 11pt; }
+    .url { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 8pt; word-break: break-all; }
+    @media screen { body { padding: 10mm; background: #eee; } .sheet { background: #fff; padding: 10mm; max-width: 190mm; margin: 0 auto; } }
+  </style>
+</head>
+<body>
+  <div class="sheet">${items}
+  </div>
+</body>
+</html>`;
+}
+
+// Print the sheet to PDF in a pooled browser context (network disabled, everything is inline)
+export async function renderCardsPdf(html) {
+  const lease = await acquireContext({ key: '__cards__', headless: true });
+  try {
+    await lease.context.route('**/*', route => route.abort());
+    const page = await lease.context.newPage();
+    await page.setContent(html, { waitUntil: 'load' });
+    return await page.pdf({ format: 'A4', printBackground: true, preferCSSPageSize: true });
+  } finally {
+    await lease.release();
+  }
+}
@@ -0,0 +1,55 @@
+import { describeQuota, tokenStatus } from './quota.js';
+import { toCsv } from './csv.js';
+import { buildXlsx } from './xlsx.js';
+
+export const EXPORT_FORMATS = ['txt', 'csv', 'json', 'xlsx'];
+
+// Columns of the CSV / XLSX / JSON exports, in order
+const EXPORT_COLUMNS = [
+  'token', 'url', 'status', 'max_downloads', 'downloads_used', 'downloads_remaining', 'expires_at',
+  'valid_for_hours', 'first_used_at', 'valid_until', 'period', 'period_limit', 'cooldown_minutes',
+  'bind_mode', 'max_clients', 'note', 'batch_id', 'created_at',
+];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// One flat record per token; `urlFor(token)` gives its download link
+export function linkExportRecords(rows, urlFor) {
+  return rows.map((row) => {
+    const quota = describeQuota(row);
+    return {
+      token: row.token,
+      url: urlFor(row.token),
+      status: tokenStatus(row),
+      max_downloads: quota.max_downloads,
+      downloads_used: quota.downloads_used,
+      downloads_remaining: quota.remaining,
+      expires_at: row.expires_at || null,
+      valid_for_hours: row.valid_for_hours ?? null,
+      first_used_at: row.first_used_at || null,
+      valid_until: quota.valid_until,
+      period: row.period || null,
+      period_limit: row.period_limit ?? null,
+      cooldown_minutes: row.cooldown_minutes ?? null,
+      bind_mode: row.bind_mode || null,
+      max_clients: row.max_clients ?? null,
+      note: row.note || '',
+      batch_id: row.batch_id ?? null,
+      created_at: row.created_at,
+    };
+  });
+}
+
+// Render records as csv, json or xlsx: `{ contentType, body }`
+export function renderLinkExport(format, records) {
+  let body;
+  if (format === 'csv') body = toCsv(EXPORT_COLUMNS, records);
+  else if (format === 'json') body = JSON.stringify({ count: records.length, data: records }, null, 2);
+  else if (format === 'xlsx') body = buildXlsx(EXPORT_COLUMNS, records, { sheetName: 'Links' });
+  else throw new Error(`unsupported export format: ${format}`);
+  return { contentType: CONTENT_TYPES[format], body };
+}
@@ -0,0 +1,124 @@
+import { getPoolStatus } from './browserPool.js';
+
+// In-process metrics in the Prometheus text exposition format (version 0.0.4)
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; the pipeline stages range from sub-second clicks to minute-long page loads and transfers
+const STAGE_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+const metrics = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatNumber(n) {
+  if (n === Infinity) return '+Inf';
+  if (n === -Infinity) return '-Inf';
+  return Number.isNaN(n) ? 'NaN' : String(n);
+}
+
+function register(type, name, help, render) {
+  metrics.push({ type, name, help, render });
+}
+
+// Series are kept per label combination, keyed by the rendered label set
+function counter(name, help) {
+  const series = new Map();
+  register('counter', name, help, () => [...series.values()].map(s => `${name}${labelText(s.labels)} ${formatNumber(s.value)}`));
+  return {
+    inc(labels = {}, value = 1) {
+      const key = labelText(labels);
+      const s = series.get(key) || { labels, value: 0 };
+      s.value += value;
+      series.set(key, s);
+    },
+  };
+}
+
+function histogram(name, help, buckets) {
+  const series = new Map();
+  register('histogram', name, help, () => [...series.values()].flatMap(s => [
+    ...buckets.map((le, i) => `${name}_bucket${labelText({ ...s.labels, le })} ${s.counts[i]}`),
+    `${name}_bucket${labelText({ ...s.labels, le: '+Inf' })} ${s.count}`,
+    `${name}_sum${labelText(s.labels)} ${formatNumber(s.sum)}`,
+    `${name}_count${labelText(s.labels)} ${s.count}`,
+  ]));
+  return {
+    observe(labels, value) {
+      const key = labelText(labels);
+      let s = series.get(key);
+      if (!s) {
+        s = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      buckets.forEach((le, i) => { if (value <= le) s.counts[i] += 1; });
+      s.sum += value;
+      s.count += 1;
+    },
+  };
+}
+
+// Read at scrape time
+function gauge(name, help, read) {
+  register('gauge', name, help, () => [`${name} ${formatNumber(Number(read()))}`]);
+}
+
+const stageDuration = histogram('aippt_stage_duration_seconds',
+  'Duration of download pipeline stages (page_load, login, click_to_download, save, transfer)', STAGE_BUCKETS);
+const downloadsTotal = counter('aippt_downloads_total', 'Download attempts by outcome and error type');
+const bytesServed = counter('aippt_bytes_served_total', 'Bytes of template files sent to clients');
+bytesServed.inc({}, 0);
+const loginAttempts = counter('aippt_login_attempts_total', 'aippt.cn logins by source (download, session) and result');
+
+gauge('aippt_browser_up', 'Whether the shared browser is connected (1) or not (0)', () => (getPoolStatus().browserConnected ? 1 : 0));
+gauge('aippt_browser_contexts_active', 'Browser contexts currently leased', () => getPoolStatus().active);
+gauge('aippt_browser_contexts_max', 'Maximum concurrent browser contexts', () => getPoolStatus().maxContexts);
+gauge('aippt_browser_queue_length', 'Requests waiting for a browser context', () => getPoolStatus().queued);
+gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+gauge('process_uptime_seconds', 'Seconds since the server started', () => Math.round(process.uptime()));
+
+export function observeStage(stage, ms) {
+  stageDuration.observe({ stage }, ms / 1000);
+}
+
+// Run `fn` and record its duration under `stage` whether it succeeds or throws
+export async function timeStage(stage, fn) {
+  const startedAt = Date.now();
+  try {
+    return await fn();
+  } finally {
+    observeStage(stage, Date.now() - startedAt);
+  }
+}
+
+// Refusal reasons are already codes; failures are labelled by error code so label values stay bounded
+function errorType({ outcome, error, code }) {
+  if (outcome === 'success') return '';
+  if (outcome === 'rejected') return error || 'unknown';
+  if (outcome === 'aborted') return 'client_disconnected';
+  return code || 'unknown';
+}
+
+// One finished download attempt (see downloadLog.startDownloadAttempt)
+export function countDownload(result) {
+  downloadsTotal.inc({ outcome: result.outcome, error_type: errorType(result) });
+  if (result.bytes) bytesServed.inc({}, Number(result.bytes));
+}
+
+export function countLogin(source, ok) {
+  loginAttempts.inc({ source, result: ok ? 'success' : 'failure' });
+}
+
+export function renderMetrics() {
+  return metrics.map(m => {
+    const lines = m.render();
+    return [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...lines].join('\n');
+  }).join('\n') + '\n';
+}
@@ -0,0 +1,356 @@
+import zlib from 'zlib';
+import { crc32 } from './zip.js';
+
+// QR Code (model 2) encoder: byte mode, versions 1-40, all four error correction levels.
+// Follows ISO/IEC 18004; returns a module matrix that the SVG / PNG renderers below draw.
+
+export const QR_ERROR_LEVELS = ['L', 'M', 'Q', 'H'];
+// Format info bits of each level
+const FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Error correction codewords per block and number of blocks, indexed [level][version]
+const ECC_CODEWORDS_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+};
+const ECC_BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+};
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+];
+
+// Modules available for data and error correction in a symbol of this version
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const align = Math.floor(version / 7) + 2;
+    result -= (25 * align - 10) * align - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function dataCodewords(version, level) {
+  return Math.floor(rawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[level][version] * ECC_BLOCKS[level][version];
+}
+
+function alignmentPositions(version, size) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < count; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+// Reed-Solomon over GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  }
+  return result;
+}
+
+// Mode indicator, length and payload, terminated and padded to the version's capacity
+function dataBits(bytes, version, level) {
+  const bits = [];
+  const push = (value, length) => { for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+  push(0b0100, 4);
+  push(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(b => push(b, 8));
+  const capacity = dataCodewords(version, level) * 8;
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) codewords.push(bits.slice(i, i + 8).reduce((v, b) => (v << 1) | b, 0));
+  return codewords;
+}
+
+// Split into blocks, append each block's error correction, and interleave
+function withErrorCorrection(data, version, level) {
+  const blocks = ECC_BLOCKS[level][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blocks - (rawCodewords % blocks);
+  const shortLength = Math.floor(rawCodewords / blocks);
+  const divisor = rsDivisor(eccLength);
+  const all = [];
+  for (let i = 0, k = 0; i < blocks; i++) {
+    const block = data.slice(k, k + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+    k += block.length;
+    const ecc = rsRemainder(block, divisor);
+    // Short blocks get a placeholder so every block has the same length while interleaving
+    if (i < shortBlocks) block.push(0);
+    all.push(block.concat(ecc));
+  }
+  const result = [];
+  for (let i = 0; i < all[0].length; i++) {
+    all.forEach((block, j) => {
+      if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+class Matrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) this.setFunction(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+    const align = alignmentPositions(this.version, size);
+    align.forEach((cx, i) => align.forEach((cy, j) => {
+      // Skip the three spots taken by finder patterns
+      if ((i === 0 && j === 0) || (i === 0 && j === align.length - 1) || (i === align.length - 1 && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }));
+    this.drawFormatBits('M', 0);
+    this.drawVersionBits();
+  }
+
+  drawFormatBits(level, mask) {
+    const data = (FORMAT_BITS[level] << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) !== 0;
+    const { size } = this;
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+    this.setFunction(8, 7, bit(6));
+    this.setFunction(8, 8, bit(7));
+    this.setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i));
+    this.setFunction(8, size - 8, true);
+  }
+
+  drawVersionBits() {
+    if (this.version < 7) return;
+    let rem = this.version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (this.version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, dark);
+      this.setFunction(b, a, dark);
+    }
+  }
+
+  // Zigzag through the non-function modules, two columns at a time, right to left
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!this.reserved[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  // XOR is its own inverse: applying the same mask twice restores the data
+  applyMask(mask) {
+    const fn = MASKS[mask];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && fn(x, y)) this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  }
+
+  // Penalty rules N1-N4 of the standard; the mask with the lowest score is used
+  penalty() {
+    const { size, modules } = this;
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+    const finderLike = [true, false, true, true, true, false, true];
+    for (const line of lines) {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) { run++; continue; }
+        if (run >= 5) score += 3 + (run - 5);
+        run = 1;
+      }
+      // 1:1:3:1:1 dark/light pattern with four light modules on one side (outside the symbol counts as light)
+      for (let i = 0; i + 7 <= size; i++) {
+        if (!finderLike.every((v, k) => line[i + k] === v)) continue;
+        const lightBefore = [1, 2, 3, 4].every(k => i - k < 0 || !line[i - k]);
+        const lightAfter = [0, 1, 2, 3].every(k => i + 7 + k >= size || !line[i + 7 + k]);
+        if (lightBefore || lightAfter) score += 40;
+      }
+    }
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+    const dark = modules.reduce((n, row) => n + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+}
+
+/**
+ * Encode `text` (UTF-8, byte mode) in the smallest version that fits at error correction `level`.
+ * Returns `{ version, size, level, mask, modules }`, `modules[y][x]` true for dark.
+ */
+export function encodeQr(text, { level = 'M', mask = null } = {}) {
+  if (!QR_ERROR_LEVELS.includes(level)) throw new Error(`level must be one of ${QR_ERROR_LEVELS.join(', ')}`);
+  const bytes = [...Buffer.from(String(text), 'utf8')];
+  let version = 1;
+  // 4 bits mode + 8/16 bits length + payload
+  while (version <= 40 && 4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > dataCodewords(version, level) * 8) version++;
+  if (version > 40) throw new Error('text too long for a QR code');
+  const matrix = new Matrix(version);
+  matrix.drawFunctionPatterns();
+  matrix.drawCodewords(withErrorCorrection(dataBits(bytes, version, level), version, level));
+  let chosen = mask;
+  if (chosen == null) {
+    let best = Infinity;
+    for (let m = 0; m < MASKS.length; m++) {
+      matrix.applyMask(m);
+      matrix.drawFormatBits(level, m);
+      const score = matrix.penalty();
+      if (score < best) { best = score; chosen = m; }
+      matrix.applyMask(m);
+    }
+  }
+  matrix.applyMask(chosen);
+  matrix.drawFormatBits(level, chosen);
+  return { version, size: matrix.size, level, mask: chosen, modules: matrix.modules };
+}
+
+// Quiet zone around the symbol, in modules (the standard asks for 4)
+const QUIET_ZONE = 4;
+
+// SVG drawing of a QR code; `scale` is the size of one module in user units
+export function qrToSvg(qr, { scale = 8, margin = QUIET_ZONE, dark = '#000', light = '#fff' } = {}) {
+  const dim = qr.size + margin * 2;
+  const path = [];
+  qr.modules.forEach((row, y) => row.forEach((on, x) => {
+    if (on) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+  }));
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}" width="${dim * scale}" height="${dim * scale}" shape-rendering="crispEdges">`
+    + `<rect width="${dim}" height="${dim}" fill="${light}"/><path d="${path.join('')}" fill="${dark}"/></svg>`;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// Greyscale PNG of a QR code, `scale` pixels per module
+export function qrToPng(qr, { scale = 8, margin = QUIET_ZONE } = {}) {
+  const dim = (qr.size + margin * 2) * scale;
+  const rows = [];
+  for (let py = 0; py < dim; py++) {
+    const row = Buffer.alloc(dim + 1, 0xff);
+    row[0] = 0; // filter: none
+    const y = Math.floor(py / scale) - margin;
+    if (y >= 0 && y < qr.size) {
+      for (let px = 0; px < dim; px++) {
+        const x = Math.floor(px / scale) - margin;
+        if (x >= 0 && x < qr.size && qr.modules[y][x]) row[px + 1] = 0;
+      }
+    }
+    rows.push(row);
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(dim, 0);
+  header.writeUInt32BE(dim, 4);
+  header[8] = 8; // bit depth
+  header[9] = 0; // greyscale
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
@@ -0,0 +1,244 @@
+import { nanoid } from 'nanoid';
+import { config } from '../config.js';
+import { transaction } from '../db.js';
+import {
+  getToken, incrementTokenUsage, usageSince, lastUsedAt,
+  countActiveReservations, countActiveDownloads, insertReservation, deleteReservation, deleteExpiredReservations,
+} from '../storage/tokens.js';
+import { addDownloadStats } from '../storage/stats.js';
+import { checkClientBinding, recordClient } from './clientBinding.js';
+import { createLogger, maskToken } from '../logger.js';
+
+const log = createLogger({ module: 'quota' });
+
+// A reservation not committed or released within this window is treated as abandoned (e.g. after a crash)
+const RESERVATION_TTL_MS = config.QUOTA_RESERVATION_TTL_MINUTES * 60 * 1000;
+
+// Downloads one token may have in flight at once, unless the token sets max_concurrent
+const MAX_CONCURRENT_PER_TOKEN = config.MAX_CONCURRENT_PER_TOKEN;
+
+// Rolling windows for per-period caps
+export const PERIOD_MS = { day: 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000 };
+
+export function reservedDownloads(tokenRow) {
+  return countActiveReservations(tokenRow.id);
+}
+
+// End of validity: the calendar expiry day, or N hours after first use, whichever comes first (null = open-ended)
+function validUntil(tokenRow) {
+  const ends = [];
+  if (tokenRow.expires_at) {
+    const end = new Date(new Date(tokenRow.expires_at).toDateString());
+    end.setDate(end.getDate() + 1);
+    ends.push(end.getTime());
+  }
+  if (tokenRow.valid_for_hours && tokenRow.first_used_at) {
+    ends.push(new Date(tokenRow.first_used_at).getTime() + tokenRow.valid_for_hours * 60 * 60 * 1000);
+  }
+  return ends.length ? new Date(Math.min(...ends)) : null;
+}
+
+// Usage in the token's rolling window: { used, reserved, remaining, resetsAt } or null without a period cap
+function periodUsage(tokenRow, { reservationId = null, now = Date.now() } = {}) {
+  if (!tokenRow.period || tokenRow.period_limit == null || !PERIOD_MS[tokenRow.period]) return null;
+  const windowMs = PERIOD_MS[tokenRow.period];
+  const { count, oldest } = usageSince(tokenRow.id, new Date(now - windowMs).toISOString());
+  const reserved = countActiveReservations(tokenRow.id, { excludeId: reservationId });
+  return {
+    used: count,
+    reserved,
+    remaining: Math.max(0, tokenRow.period_limit - count - reserved),
+    // The slot taken by the oldest download in the window frees up once it leaves the window
+    resetsAt: oldest ? new Date(new Date(oldest).getTime() + windowMs) : null,
+  };
+}
+
+function cooldownUntil(tokenRow) {
+  if (!tokenRow.cooldown_minutes) return null;
+  const last = lastUsedAt(tokenRow.id);
+  if (!last) return null;
+  return new Date(new Date(last).getTime() + tokenRow.cooldown_minutes * 60 * 1000);
+}
+
+/**
+ * Whether a token may start (or, with `reservationId`, finish) a download.
+ * Downloads held by other in-flight reservations count as used.
+ * Temporary refusals (`period_limit`, `cooldown`) carry `retryAt`; the others are final until an admin changes the token.
+ */
+export function isTokenValid(tokenRow, { reservationId = null } = {}) {
+  if (!tokenRow) return { ok: false, reason: 'not_found' };
+  if (tokenRow.disabled) return { ok: false, reason: 'disabled' };
+  const now = Date.now();
+  const until = validUntil(tokenRow);
+  if (until && until.getTime() <= now) {
+    return { ok: false, reason: 'expired' };
+  }
+  const reserved = countActiveReservations(tokenRow.id, { excludeId: reservationId });
+  if (tokenRow.max_downloads != null && tokenRow.downloads_used + reserved >= tokenRow.max_downloads) {
+    return { ok: false, reason: 'exhausted' };
+  }
+  // A finishing download already holds its period slot and passed the cooldown when it was reserved
+  if (reservationId) return { ok: true };
+  const period = periodUsage(tokenRow, { now });
+  if (period && period.remaining <= 0) {
+    return { ok: false, reason: 'period_limit', retryAt: period.resetsAt ? period.resetsAt.toISOString() : null };
+  }
+  const cooldown = cooldownUntil(tokenRow);
+  if (cooldown && cooldown.getTime() > now) {
+    return { ok: false, reason: 'cooldown', retryAt: cooldown.toISOString() };
+  }
+  return { ok: true };
+}
+
+// Lasting state of a token for listings and exports: disabled, expired, exhausted or active
+export function tokenStatus(tokenRow) {
+  if (tokenRow.disabled) return 'disabled';
+  const until = validUntil(tokenRow);
+  if (until && until.getTime() <= Date.now()) return 'expired';
+  if (tokenRow.max_downloads != null && tokenRow.downloads_used >= tokenRow.max_downloads) return 'exhausted';
+  return 'active';
+}
+
+export function isTemporaryRefusal(validity) {
+  return ['period_limit', 'cooldown', 'concurrency'].includes(validity.reason);
+}
+
+// Quota report for a token, as shown to its holder by GET /api/token/:token
+export function describeQuota(tokenRow) {
+  const reserved = reservedDownloads(tokenRow);
+  const used = Number(tokenRow.downloads_used || 0);
+  const max = tokenRow.max_downloads != null ? Number(tokenRow.max_downloads) : null;
+  const until = validUntil(tokenRow);
+  const period = periodUsage(tokenRow);
+  const cooldown = cooldownUntil(tokenRow);
+  return {
+    downloads_used: used,
+    downloads_reserved: reserved,
+    max_downloads: max,
+    remaining: max != null ? Math.max(0, max - used - reserved) : null,
+    expires_at: tokenRow.expires_at || null,
+    valid_for_hours: tokenRow.valid_for_hours ?? null,
+    first_used_at: tokenRow.first_used_at || null,
+    valid_until: until ? until.toISOString() : null,
+    period: period ? tokenRow.period : null,
+    period_limit: period ? tokenRow.period_limit : null,
+    period_used: period ? period.used : null,
+    period_remaining: period ? period.remaining : null,
+    period_resets_at: period && period.resetsAt ? period.resetsAt.toISOString() : null,
+    cooldown_minutes: tokenRow.cooldown_minutes ?? null,
+    next_allowed_at: cooldown && cooldown.getTime() > Date.now() ? cooldown.toISOString() : null,
+  };
+}
+
+// Downloads the token could still start: the lower of what is left overall and in its period (null = no cap)
+function remainingDownloads(tokenRow) {
+  const limits = [];
+  if (tokenRow.max_downloads != null) {
+    limits.push(tokenRow.max_downloads - tokenRow.downloads_used - countActiveReservations(tokenRow.id));
+  }
+  const period = periodUsage(tokenRow);
+  if (period) limits.push(period.remaining);
+  return limits.length ? Math.max(0, Math.min(...limits)) : null;
+}
+
+// Check the token and insert `count` reservations in one transaction, so two requests can't both take the last download
+function insertReservations(token, { route, client, count }) {
+  return transaction(() => {
+    const row = getToken(token);
+    const validity = isTokenValid(row);
+    if (!validity.ok) return validity;
+    const binding = checkClientBinding(row, client);
+    if (!binding.ok) {
+      log.info('refused client', { token: maskToken(row.token), reason: binding.reason, ip: client.ip, device: client.device });
+      return binding;
+    }
+    // A batch fetches its templates one after another, so it takes a single slot
+    if (countActiveDownloads(row.id) >= (row.max_concurrent || MAX_CONCURRENT_PER_TOKEN)) {
+      return { ok: false, reason: 'concurrency' };
+    }
+    const remaining = remainingDownloads(row);
+    if (remaining != null && remaining < count) return { ok: false, reason: 'insufficient_quota', remaining };
+    const now = new Date();
+    const groupId = count > 1 ? nanoid(12) : null;
+    const ids = [];
+    for (let i = 0; i < count; i++) {
+      const id = nanoid(12);
+      insertReservation({
+        id,
+        tokenId: row.id,
+        route,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + RESERVATION_TTL_MS).toISOString(),
+        groupId,
+      });
+      ids.push(id);
+    }
+    return { ok: true, ids, tokenId: row.id, client };
+  });
+}
+
+// The client only takes a binding slot when a download is delivered, not when it is refused or fails
+function heldReservation(id, tokenId, client) {
+  let settled = false;
+  const settle = (fn) => {
+    if (settled) return;
+    settled = true;
+    try {
+      transaction(() => {
+        deleteReservation(id);
+        fn();
+      });
+    } catch (err) {
+      log.error('failed to settle reservation', { reservationId: id, error: err });
+    }
+  };
+  return {
+    ok: true,
+    id,
+    commit: ({ countsQuota = true, bytes = 0 } = {}) => settle(() => {
+      if (countsQuota) incrementTokenUsage(tokenId);
+      recordClient(tokenId, client);
+      addDownloadStats({ downloads: 1, bytes });
+    }),
+    release: () => settle(() => {}),
+  };
+}
+
+/**
+ * Hold one download of `token` until the file is delivered.
+ * `client` (from identifyClient) is checked against the token's binding policy and remembered on commit.
+ * Returns `{ ok: false, reason }` or `{ ok: true, id, commit, release }`; only the first commit/release takes effect.
+ * commit({ countsQuota, bytes }) uses up the download (unless countsQuota is false) and updates the totals,
+ * release() hands it back.
+ */
+export function reserveQuota(token, { route = null, client = null } = {}) {
+  const reserved = insertReservations(token, { route, client, count: 1 });
+  if (!reserved.ok) return reserved;
+  return heldReservation(reserved.ids[0], reserved.tokenId, reserved.client);
+}
+
+/**
+ * Hold `count` downloads at once, or none: refused with `insufficient_quota` (and `remaining`) when the token's
+ * lifetime or period allowance can't cover them all. Together they take one slot of the concurrency cap.
+ * Returns `{ ok: true, reservations }`, each settled on its own.
+ */
+export function reserveQuotaBatch(token, count, { route = null, client = null } = {}) {
+  const reserved = insertReservations(token, { route, client, count });
+  if (!reserved.ok) return reserved;
+  return { ok: true, reservations: reserved.ids.map(id => heldReservation(id, reserved.tokenId, reserved.client)) };
+}
+
+// Remove expired reservations; they already stopped counting, this just tidies the table
+export function pruneExpiredReservations() {
+  const removed = deleteExpiredReservations();
+  if (removed > 0) log.info('dropped expired reservations', { count: removed });
+  return removed;
+}
+
+export function startReservationSweeper() {
+  const tick = () => {
+    try { pruneExpiredReservations(); } catch (err) { log.error('reservation sweep failed', { error: err }); }
+  };
+  tick();
+  setInterval(tick, 10 * 60 * 1000).unref();
+}
@@ -0,0 +1,92 @@
+import { getToken } from '../storage/tokens.js';
+import { config } from '../config.js';
+import { createLogger, maskToken } from '../logger.js';
+
+const log = createLogger({ module: 'rate-limit' });
+
+// Sliding one-minute request windows for the download routes, per client IP and per token.
+// Kept in memory: a restart forgets them, which is fine for abuse throttling.
+const WINDOW_MS = 60 * 1000;
+const IP_LIMIT = config.RATE_LIMIT_IP_PER_MINUTE;
+// Default for tokens without their own rate_limit_per_minute
+const TOKEN_LIMIT = config.RATE_LIMIT_TOKEN_PER_MINUTE;
+
+// This many rejected requests (4xx) within the failure window lock the IP / token out for a while
+const FAILURE_LIMIT = config.LOCKOUT_FAILURES;
+const FAILURE_WINDOW_MS = config.LOCKOUT_WINDOW_MINUTES * 60 * 1000;
+const LOCKOUT_MS = config.LOCKOUT_MINUTES * 60 * 1000;
+
+const hits = new Map();      // key -> request timestamps within WINDOW_MS
+const failures = new Map();  // key -> failure timestamps within FAILURE_WINDOW_MS
+const lockouts = new Map();  // key -> locked until (ms)
+
+const ipKey = ip => `ip:${ip}`;
+const tokenKey = token => `token:${token}`;
+
+function recent(map, key, windowMs, now) {
+  const list = (map.get(key) || []).filter(t => t > now - windowMs);
+  if (list.length) map.set(key, list); else map.delete(key);
+  return list;
+}
+
+function lockedUntil(key, now) {
+  const until = lockouts.get(key);
+  if (until && until > now) return until;
+  lockouts.delete(key);
+  return null;
+}
+
+/**
+ * Check and count one request. Returns null when allowed, otherwise
+ * `{ ok: false, reason: 'locked_out' | 'rate_limited', retryAt }`; refused requests are not counted.
+ */
+export function checkRateLimit({ ip, token = null }) {
+  const now = Date.now();
+  const keys = [ipKey(ip)];
+  const limits = [IP_LIMIT];
+  if (token) {
+    const row = getToken(token);
+    keys.push(tokenKey(token));
+    limits.push((row && row.rate_limit_per_minute) || TOKEN_LIMIT);
+  }
+  for (const key of keys) {
+    const until = lockedUntil(key, now);
+    if (until) return { ok: false, reason: 'locked_out', retryAt: new Date(until).toISOString() };
+  }
+  const windows = keys.map(key => recent(hits, key, WINDOW_MS, now));
+  for (let i = 0; i < keys.length; i++) {
+    if (windows[i].length >= limits[i]) {
+      // The oldest request in the window is the next one to drop out of it
+      return { ok: false, reason: 'rate_limited', retryAt: new Date(windows[i][windows[i].length - limits[i]] + WINDOW_MS).toISOString() };
+    }
+  }
+  keys.forEach((key, i) => hits.set(key, [...windows[i], now]));
+  return null;
+}
+
+// Count a rejected request against the IP and token; enough of them start a lockout
+export function recordFailure({ ip, token = null }) {
+  const now = Date.now();
+  for (const key of token ? [ipKey(ip), tokenKey(token)] : [ipKey(ip)]) {
+    const list = [...recent(failures, key, FAILURE_WINDOW_MS, now), now];
+    if (list.length >= FAILURE_LIMIT) {
+      lockouts.set(key, now + LOCKOUT_MS);
+      failures.delete(key);
+      log.warn('locked out', { key: key.startsWith('token:') ? `token:${maskToken(key.slice(6))}` : key, failures: list.length });
+    } else {
+      failures.set(key, list);
+    }
+  }
+}
+
+// Drop windows and lockouts that ran out, so idle clients don't accumulate
+export function pruneRateLimits() {
+  const now = Date.now();
+  [...hits.keys()].forEach(key => recent(hits, key, WINDOW_MS, now));
+  [...failures.keys()].forEach(key => recent(failures, key, FAILURE_WINDOW_MS, now));
+  [...lockouts.keys()].forEach(key => lockedUntil(key, now));
+}
+
+export function startRateLimitSweeper() {
+  setInterval(pruneRateLimits, 5 * 60 * 1000).unref();
+}
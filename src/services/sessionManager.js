@@ -0,0 +1,179 @@
+import fs from 'fs';
+import { acquireContext } from './browserPool.js';
+import { listAccounts, getAccount, accountStateFile } from './accounts.js';
+import { getAdapter, selectorsFor } from './adapters/index.js';
+import { installRequestGuard } from './urlPolicy.js';
+import { countLogin } from './metrics.js';
+import { config } from '../config.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger({ module: 'session' });
+
+// Session manager settings
+const ENABLED = config.SESSION_MANAGER_ENABLED;
+const CHECK_INTERVAL_MS = config.SESSION_CHECK_INTERVAL_MINUTES * 60 * 1000;
+const REFRESH_BEFORE_MS = config.SESSION_REFRESH_BEFORE_HOURS * 60 * 60 * 1000;
+const VERIFY_INTERVAL_MS = config.SESSION_VERIFY_INTERVAL_HOURS * 60 * 60 * 1000;
+// After a failed background login, wait this long before trying that account again
+const RETRY_BACKOFF_MS = 30 * 60 * 1000;
+
+// Per-account runtime info, keyed by account id
+const records = new Map();
+const inProgress = new Map();
+let timer = null;
+
+function recordFor(accountId) {
+  if (!records.has(accountId)) {
+    records.set(accountId, { lastCheckAt: null, lastVerifiedAt: null, verified: null, lastReloginAt: null, lastError: null, lastErrorAt: null });
+  }
+  return records.get(accountId);
+}
+
+// Expiry and user of the session saved for an account, as decoded by its site adapter
+export function readSessionToken(account) {
+  const adapter = getAdapter(account.provider);
+  if (!adapter || typeof adapter.sessionInfo !== 'function') return null;
+  let state;
+  try { state = JSON.parse(fs.readFileSync(accountStateFile(account), 'utf8')); } catch (_) { return null; }
+  return adapter.sessionInfo(state);
+}
+
+function sessionState(token, now = Date.now()) {
+  if (!token || !token.expiresAt) return 'missing';
+  const remaining = new Date(token.expiresAt).getTime() - now;
+  if (remaining <= 0) return 'expired';
+  if (remaining <= REFRESH_BEFORE_MS) return 'expiring';
+  return 'valid';
+}
+
+function statusFor(account) {
+  const token = readSessionToken(account);
+  const record = recordFor(account.id);
+  return {
+    accountId: account.id,
+    provider: account.provider,
+    label: account.label,
+    enabled: account.enabled,
+    state: sessionState(token),
+    expiresAt: token ? token.expiresAt : null,
+    expiresInSeconds: token && token.expiresAt ? Math.round((new Date(token.expiresAt).getTime() - Date.now()) / 1000) : null,
+    userId: token ? token.userId : null,
+    refreshing: inProgress.has(account.id),
+    ...record,
+  };
+}
+
+export function getSessionStatus() {
+  return {
+    enabled: ENABLED,
+    config: {
+      checkIntervalMinutes: CHECK_INTERVAL_MS / 60000,
+      refreshBeforeHours: REFRESH_BEFORE_MS / 3600000,
+      verifyIntervalHours: VERIFY_INTERVAL_MS / 3600000,
+    },
+    data: listAccounts().map(a => statusFor(getAccount(a.id))),
+  };
+}
+
+// Open the account's site home page in a pooled context and hand it to `fn(page, context, adapter, selectors)`
+async function withHomePage(account, { fresh }, fn) {
+  const adapter = getAdapter(account.provider);
+  if (!adapter) throw new Error(`no adapter for provider ${account.provider}`);
+  const selectors = selectorsFor(adapter);
+  const stateFile = accountStateFile(account);
+  const lease = await acquireContext({
+    key: '__session__',
+    contextOptions: { storageState: !fresh && fs.existsSync(stateFile) ? stateFile : undefined },
+  });
+  try {
+    await installRequestGuard(lease.context);
+    const page = await lease.context.newPage();
+    await page.goto(adapter.homeUrl, { waitUntil: 'domcontentloaded', timeout: config.PLAYWRIGHT_NAVIGATION_TIMEOUT_MS });
+    await page.waitForLoadState('networkidle', { timeout: 2000 }).catch(() => {});
+    return await fn(page, lease.context, adapter, selectors);
+  } finally {
+    await lease.release();
+  }
+}
+
+// Lightweight check: load the home page with the saved session and look for the login button
+export async function verifySession(accountId) {
+  const account = getAccount(accountId);
+  if (!account) throw new Error('account not found');
+  const record = recordFor(account.id);
+  try {
+    const loggedIn = await withHomePage(account, { fresh: false }, (page, context, adapter, selectors) => adapter.isLoggedIn(page, selectors));
+    record.verified = loggedIn;
+    record.lastVerifiedAt = new Date().toISOString();
+    return loggedIn;
+  } catch (err) {
+    record.lastError = err.message;
+    record.lastErrorAt = new Date().toISOString();
+    throw err;
+  }
+}
+
+// Log in from a clean context so the site issues a new token, then save it as the account's session
+export function reloginAccount(accountId) {
+  if (inProgress.has(accountId)) return inProgress.get(accountId);
+  const account = getAccount(accountId);
+  if (!account) return Promise.reject(new Error('account not found'));
+  const record = recordFor(account.id);
+  const run = withHomePage(account, { fresh: true }, async (page, context, adapter, selectors) => {
+    log.info('re-login', { account: account.label });
+    await adapter.login(page, account, selectors).then(
+      () => countLogin('session', true),
+      (err) => { countLogin('session', false); throw err; },
+    );
+    await context.storageState({ path: accountStateFile(account) });
+    record.verified = await adapter.isLoggedIn(page, selectors);
+    record.lastVerifiedAt = new Date().toISOString();
+  }).then(() => {
+    record.lastReloginAt = new Date().toISOString();
+    record.lastError = null;
+    record.lastErrorAt = null;
+    return statusFor(account);
+  }).catch((err) => {
+    record.lastError = err.message;
+    record.lastErrorAt = new Date().toISOString();
+    log.warn('re-login failed', { account: account.label, error: err.message });
+    throw err;
+  }).finally(() => {
+    inProgress.delete(account.id);
+  });
+  inProgress.set(account.id, run);
+  return run;
+}
+
+// One pass over all enabled accounts: re-login expiring/missing sessions, periodically verify the rest
+export async function checkSessions() {
+  for (const { id } of listAccounts()) {
+    const account = getAccount(id);
+    if (!account || !account.enabled || inProgress.has(id)) continue;
+    const record = recordFor(id);
+    record.lastCheckAt = new Date().toISOString();
+    if (record.lastErrorAt && Date.now() - new Date(record.lastErrorAt).getTime() < RETRY_BACKOFF_MS) continue;
+    const state = sessionState(readSessionToken(account));
+    try {
+      if (state !== 'valid') {
+        await reloginAccount(id);
+        continue;
+      }
+      const lastVerified = record.lastVerifiedAt ? new Date(record.lastVerifiedAt).getTime() : 0;
+      if (Date.now() - lastVerified >= VERIFY_INTERVAL_MS) {
+        const ok = await verifySession(id);
+        if (!ok) await reloginAccount(id);
+      }
+    } catch (_) {
+      // already recorded on the account's status
+    }
+  }
+}
+
+export function startSessionManager() {
+  if (!ENABLED || timer) return;
+  const tick = () => checkSessions().catch(err => log.error('session check failed', { error: err }));
+  timer = setInterval(tick, CHECK_INTERVAL_MS);
+  timer.unref();
+  setTimeout(tick, 5000).unref();
+}
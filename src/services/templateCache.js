@@ -0,0 +1,194 @@
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { config } from '../config.js';
+
+// Cache settings
+const CACHE_TTL_MS = config.CACHE_TTL_HOURS * 60 * 60 * 1000;
+const CACHE_MAX_BYTES = config.CACHE_MAX_MB * 1024 * 1024;
+const CACHE_HIT_COUNTS_QUOTA = config.CACHE_HIT_COUNTS_QUOTA;
+
+const cacheDir = config.CACHE_DIR;
+const blobDir = path.join(cacheDir, 'blobs');
+const indexPath = path.join(cacheDir, 'index.json');
+
+let index = null;
+
+function loadIndex() {
+  if (index) return index;
+  fs.mkdirSync(blobDir, { recursive: true });
+  try {
+    index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  } catch (_) {
+    index = { entries: {} };
+  }
+  index.entries = index.entries || {};
+  return index;
+}
+
+function saveIndex() {
+  const tmp = `${indexPath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(index, null, 2));
+  fs.renameSync(tmp, indexPath);
+}
+
+function blobPath(sha256) {
+  return path.join(blobDir, sha256);
+}
+
+function entryId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Normalize a template URL to a cache key: host without "www." plus the numeric template ID
+ * when the path ends in one (e.g. /template/ppt/detail/123456.html), else the bare path.
+ */
+export function normalizeTemplateKey(templateUrl) {
+  const u = new URL(String(templateUrl));
+  const host = u.hostname.toLowerCase().replace(/^www\./, '');
+  const pathname = u.pathname.replace(/\/+$/, '').toLowerCase();
+  const idMatch = /(\d{3,})(?:\.html?)?$/.exec(pathname);
+  const templateId = idMatch ? idMatch[1] : null;
+  return { key: templateId ? `${host}#${templateId}` : `${host}${pathname}`, templateId };
+}
+
+function isExpired(entry, now = Date.now()) {
+  return now - new Date(entry.createdAt).getTime() > CACHE_TTL_MS;
+}
+
+function removeEntry(key) {
+  const entry = index.entries[key];
+  if (!entry) return;
+  delete index.entries[key];
+  // Blobs are shared by content; only drop the file when nothing references it any more
+  const stillUsed = Object.values(index.entries).some(e => e.sha256 === entry.sha256);
+  if (!stillUsed) fs.rmSync(blobPath(entry.sha256), { force: true });
+}
+
+function totalBytes() {
+  const seen = new Map();
+  for (const e of Object.values(index.entries)) seen.set(e.sha256, e.size);
+  let total = 0;
+  for (const size of seen.values()) total += size;
+  return total;
+}
+
+// Drop expired entries, then least-recently-used ones until under the size cap
+function evict() {
+  const now = Date.now();
+  for (const entry of Object.values(index.entries)) {
+    if (isExpired(entry, now)) removeEntry(entry.key);
+  }
+  const byAccess = Object.values(index.entries).sort((a, b) => (a.lastAccessAt < b.lastAccessAt ? -1 : 1));
+  while (totalBytes() > CACHE_MAX_BYTES && byAccess.length > 0) {
+    removeEntry(byAccess.shift().key);
+  }
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+function publicEntry(entry) {
+  return {
+    id: entry.id,
+    key: entry.key,
+    url: entry.url,
+    templateId: entry.templateId,
+    title: entry.title || null,
+    filename: entry.filename,
+    size: entry.size,
+    sha256: entry.sha256,
+    hits: entry.hits,
+    createdAt: entry.createdAt,
+    lastAccessAt: entry.lastAccessAt,
+    expiresAt: new Date(new Date(entry.createdAt).getTime() + CACHE_TTL_MS).toISOString(),
+  };
+}
+
+// Returns `{ filePath, filename, size, sha256 }` for a fresh cached copy of the template, or null
+export function lookupCachedTemplate(templateUrl) {
+  let key;
+  try { ({ key } = normalizeTemplateKey(templateUrl)); } catch (_) { return null; }
+  loadIndex();
+  const entry = index.entries[key];
+  if (!entry) return null;
+  if (isExpired(entry) || !fs.existsSync(blobPath(entry.sha256))) {
+    removeEntry(key);
+    saveIndex();
+    return null;
+  }
+  entry.hits = (entry.hits || 0) + 1;
+  entry.lastAccessAt = new Date().toISOString();
+  saveIndex();
+  return { filePath: blobPath(entry.sha256), filename: entry.filename, size: entry.size, sha256: entry.sha256 };
+}
+
+// Copy a freshly downloaded template into the cache; `metadata` is what the site adapter extracted
+export async function storeCachedTemplate(templateUrl, filePath, filename, metadata = {}) {
+  const { key, templateId } = normalizeTemplateKey(templateUrl);
+  const sha256 = await hashFile(filePath);
+  const size = fs.statSync(filePath).size;
+  if (size > CACHE_MAX_BYTES) return null;
+  loadIndex();
+  const target = blobPath(sha256);
+  if (!fs.existsSync(target)) {
+    const tmp = `${target}.${process.pid}.tmp`;
+    fs.copyFileSync(filePath, tmp);
+    fs.renameSync(tmp, target);
+  }
+  const nowIso = new Date().toISOString();
+  const entry = {
+    id: entryId(key),
+    key,
+    url: String(templateUrl),
+    templateId: templateId || metadata.templateId || null,
+    title: metadata.title || null,
+    filename,
+    size,
+    sha256,
+    hits: 0,
+    createdAt: nowIso,
+    lastAccessAt: nowIso,
+  };
+  index.entries[key] = entry;
+  evict();
+  saveIndex();
+  return publicEntry(entry);
+}
+
+export function listCachedTemplates() {
+  loadIndex();
+  evict();
+  saveIndex();
+  const data = Object.values(index.entries)
+    .sort((a, b) => (a.lastAccessAt < b.lastAccessAt ? 1 : -1))
+    .map(publicEntry);
+  return {
+    data,
+    totalBytes: totalBytes(),
+    config: { ttlHours: CACHE_TTL_MS / 3600000, maxBytes: CACHE_MAX_BYTES, hitCountsQuota: CACHE_HIT_COUNTS_QUOTA },
+  };
+}
+
+// Remove one entry by id, or everything when id is omitted; returns the number removed
+export function purgeCachedTemplates(id = null) {
+  loadIndex();
+  const keys = Object.values(index.entries)
+    .filter(e => id == null || e.id === id)
+    .map(e => e.key);
+  keys.forEach(removeEntry);
+  saveIndex();
+  return keys.length;
+}
+
+export function cacheHitCountsQuota() {
+  return CACHE_HIT_COUNTS_QUOTA;
+}
@@ -0,0 +1,174 @@
+import net from 'net';
+import path from 'path';
+import dns from 'dns';
+import { getAdapterForUrl, getAdapter } from './adapters/index.js';
+import { config } from '../config.js';
+import { DownloadError } from './errors.js';
+
+// Hosts template pages may be opened from (subdomains included)
+const ALLOWED_HOSTS = config.ALLOWED_HOSTS;
+// Optional allowlist for the host serving the file itself; empty = any public host
+const DOWNLOAD_ALLOWED_HOSTS = config.DOWNLOAD_ALLOWED_HOSTS;
+const ALLOWED_FILE_EXTENSIONS = config.ALLOWED_FILE_EXTENSIONS.map(e => e.replace(/^\./, ''));
+const DNS_CACHE_MS = 60 * 1000;
+
+// A rejected URL says nothing about the account used
+export class UrlPolicyError extends DownloadError {
+  constructor(code, message, status = 400) {
+    super(code, message, { status, accountFault: false });
+    this.name = 'UrlPolicyError';
+  }
+
+  // Policy messages say what is wrong with the link, so the client gets them as they are
+  get publicMessage() {
+    return this.message;
+  }
+}
+
+// Loopback, private, link-local, CGNAT, documentation, multicast and reserved ranges
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([addr, prefix]) => blocked.addSubnet(addr, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['2001:db8::', 32], ['64:ff9b::', 96],
+].forEach(([addr, prefix]) => blocked.addSubnet(addr, prefix, 'ipv6'));
+
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return blocked.check(address, 'ipv4');
+  if (family === 6) {
+    // IPv4-mapped (::ffff:a.b.c.d) is judged by the embedded IPv4 address
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return blocked.check(mapped[1], 'ipv4');
+    return blocked.check(address, 'ipv6');
+  }
+  return true;
+}
+
+function hostMatches(host, list) {
+  return list.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+export function isAllowedHost(host) {
+  return hostMatches(String(host).toLowerCase(), ALLOWED_HOSTS);
+}
+
+const dnsCache = new Map();
+
+// Resolve every address of `host`; rejects when any of them is private (defeats mixed A records)
+async function assertPublicHost(host) {
+  const bare = host.replace(/^\[|\]$/g, '');
+  if (net.isIP(bare)) {
+    if (isPrivateAddress(bare)) throw new UrlPolicyError('URL_PRIVATE_ADDRESS', '不允许访问内网或本机地址', 403);
+    return;
+  }
+  const cached = dnsCache.get(bare);
+  let addresses;
+  if (cached && cached.expires > Date.now()) {
+    addresses = cached.addresses;
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(bare, { all: true, verbatim: true })).map(r => r.address);
+    } catch (_) {
+      throw new UrlPolicyError('URL_DNS_FAILED', '无法解析模版链接的域名');
+    }
+    dnsCache.set(bare, { addresses, expires: Date.now() + DNS_CACHE_MS });
+  }
+  if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+    throw new UrlPolicyError('URL_PRIVATE_ADDRESS', '不允许访问内网或本机地址', 403);
+  }
+}
+
+/**
+ * Validate and normalize user input into a template page URL.
+ * Accepts a full URL or a bare numeric template ID (aippt.cn). Resolves to the normalized URL string;
+ * rejects with UrlPolicyError (URL_INVALID, URL_HOST_NOT_ALLOWED, URL_UNSUPPORTED_SITE, URL_DNS_FAILED, URL_PRIVATE_ADDRESS).
+ */
+export async function validateTemplateUrl(input) {
+  let raw = String(input || '').trim();
+  if (!raw) throw new UrlPolicyError('URL_INVALID', '请填写模版链接');
+  if (/^\d{3,}$/.test(raw)) {
+    raw = getAdapter('aippt').templateUrlForId(raw);
+  } else if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) && /^[\w.-]+\.[a-z]{2,}\//i.test(raw)) {
+    // Pasted without a scheme, e.g. "www.aippt.cn/template/..."
+    raw = `https://${raw}`;
+  }
+  let url;
+  try { url = new URL(raw); } catch (_) {
+    throw new UrlPolicyError('URL_INVALID', '模版链接格式不正确');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new UrlPolicyError('URL_INVALID', '仅支持 http/https 模版链接');
+  }
+  if (url.username || url.password) {
+    throw new UrlPolicyError('URL_INVALID', '模版链接不能包含账号信息');
+  }
+  if (url.port && url.port !== '80' && url.port !== '443') {
+    throw new UrlPolicyError('URL_HOST_NOT_ALLOWED', '模版链接端口不被允许', 403);
+  }
+  const host = url.hostname.toLowerCase();
+  if (net.isIP(host.replace(/^\[|\]$/g, '')) || !isAllowedHost(host)) {
+    throw new UrlPolicyError('URL_HOST_NOT_ALLOWED', `仅支持以下网站的模版链接：${ALLOWED_HOSTS.join(', ')}`, 403);
+  }
+  if (!getAdapterForUrl(url.toString())) {
+    throw new UrlPolicyError('URL_UNSUPPORTED_SITE', '暂不支持该网站的模版链接');
+  }
+  await assertPublicHost(host);
+  // Normalized form: https, lowercase host, default port, no fragment
+  url.protocol = 'https:';
+  url.port = '';
+  url.hash = '';
+  return url.toString();
+}
+
+/**
+ * Route every request of a browser context through the policy while a job runs:
+ * top-level navigations must stay on allowed hosts, and nothing may reach private addresses.
+ */
+export async function installRequestGuard(context, { onBlocked = () => {} } = {}) {
+  await context.route('**/*', async (route) => {
+    const request = route.request();
+    let url;
+    try { url = new URL(request.url()); } catch (_) { return route.abort('blockedbyclient'); }
+    if (url.protocol === 'data:' || url.protocol === 'blob:') return route.continue();
+    try {
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new UrlPolicyError('URL_INVALID', `blocked scheme ${url.protocol}`);
+      }
+      const frame = request.frame();
+      const isTopLevel = request.isNavigationRequest() && frame && frame.parentFrame() === null;
+      if (isTopLevel && !isAllowedHost(url.hostname)) {
+        throw new UrlPolicyError('URL_HOST_NOT_ALLOWED', `blocked navigation to ${url.hostname}`, 403);
+      }
+      await assertPublicHost(url.hostname);
+    } catch (err) {
+      onBlocked(url.toString(), err);
+      return route.abort('blockedbyclient');
+    }
+    return route.continue();
+  });
+}
+
+// The saved file must come from a public (and, if configured, allowlisted) host and look like a template
+export async function assertDownloadAllowed(downloadUrl, filename) {
+  let url;
+  try { url = new URL(downloadUrl); } catch (_) {
+    throw new UrlPolicyError('DOWNLOAD_NOT_ALLOWED', '下载地址无效', 502);
+  }
+  if (url.protocol !== 'blob:' && url.protocol !== 'data:') {
+    if (DOWNLOAD_ALLOWED_HOSTS.length > 0 && !hostMatches(url.hostname.toLowerCase(), DOWNLOAD_ALLOWED_HOSTS)) {
+      throw new UrlPolicyError('DOWNLOAD_NOT_ALLOWED', `下载来源不被允许：${url.hostname}`, 502);
+    }
+    await assertPublicHost(url.hostname).catch(() => {
+      throw new UrlPolicyError('DOWNLOAD_NOT_ALLOWED', '下载来源不被允许', 502);
+    });
+  }
+  // extname, not the text after the last dot: a bare "pptx" has no extension
+  const ext = path.extname(String(filename || '')).slice(1).toLowerCase();
+  if (!ALLOWED_FILE_EXTENSIONS.includes(ext)) {
+    throw new UrlPolicyError('DOWNLOAD_NOT_ALLOWED', `下载的文件类型不被允许：${filename}`, 502);
+  }
+}
@@ -0,0 +1,191 @@
+import zlib from 'zlib';
+
+// Minimal ZIP writer and reader (no zip64: entries and archive under 4 GB, at most 65535 entries)
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(buf, crc = 0) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// Flag bit 11: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+function localHeader(entry) {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(UTF8_FLAG, 6);
+  header.writeUInt16LE(entry.method, 8);
+  header.writeUInt16LE(entry.dos.time, 10);
+  header.writeUInt16LE(entry.dos.date, 12);
+  header.writeUInt32LE(entry.crc, 14);
+  header.writeUInt32LE(entry.compressedSize, 18);
+  header.writeUInt32LE(entry.size, 22);
+  header.writeUInt16LE(entry.name.length, 26);
+  header.writeUInt16LE(0, 28);
+  return Buffer.concat([header, entry.name]);
+}
+
+function centralHeader(entry) {
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(20, 6);
+  header.writeUInt16LE(UTF8_FLAG, 8);
+  header.writeUInt16LE(entry.method, 10);
+  header.writeUInt16LE(entry.dos.time, 12);
+  header.writeUInt16LE(entry.dos.date, 14);
+  header.writeUInt32LE(entry.crc, 16);
+  header.writeUInt32LE(entry.compressedSize, 20);
+  header.writeUInt32LE(entry.size, 24);
+  header.writeUInt16LE(entry.name.length, 28);
+  // extra, comment, disk number, internal / external attributes stay 0
+  header.writeUInt32LE(entry.offset, 42);
+  return Buffer.concat([header, entry.name]);
+}
+
+function endOfCentralDirectory(count, size, offset) {
+  const record = Buffer.alloc(22);
+  record.writeUInt32LE(0x06054b50, 0);
+  record.writeUInt16LE(count, 8);
+  record.writeUInt16LE(count, 10);
+  record.writeUInt32LE(size, 12);
+  record.writeUInt32LE(offset, 16);
+  return record;
+}
+
+// Local header and body of one entry starting at `offset`; the entry record goes into the central directory
+function encodeEntry({ name, data, date = new Date(), store = false }, offset) {
+  const raw = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+  const body = store ? raw : zlib.deflateRawSync(raw);
+  const entry = {
+    name: Buffer.from(String(name), 'utf8'),
+    method: store ? 0 : 8,
+    dos: dosDateTime(date),
+    crc: crc32(raw),
+    size: raw.length,
+    compressedSize: body.length,
+    offset,
+  };
+  const header = localHeader(entry);
+  if (offset + header.length + body.length > 0xffffffff) throw new Error('zip archive too large');
+  return { entry, header, body };
+}
+
+function centralDirectory(written, offset) {
+  const central = Buffer.concat(written.map(centralHeader));
+  return Buffer.concat([central, endOfCentralDirectory(written.length, central.length, offset)]);
+}
+
+/**
+ * Build a ZIP archive in memory.
+ * entries: [{ name, data: Buffer | string, date?: Date, store?: boolean }]; data is deflated unless `store`.
+ */
+export function createZip(entries) {
+  if (entries.length > 0xffff) throw new Error('too many zip entries');
+  const parts = [];
+  const written = [];
+  let offset = 0;
+  for (const spec of entries) {
+    const { entry, header, body } = encodeEntry(spec, offset);
+    parts.push(header, body);
+    written.push(entry);
+    offset += header.length + body.length;
+  }
+  return Buffer.concat([...parts, centralDirectory(written, offset)]);
+}
+
+/**
+ * Write a ZIP archive to `output` (e.g. an HTTP response) one entry at a time, so only the current entry is in memory.
+ * add(entry) takes the same entries as createZip and resolves once the stream can take more, or rejects when the
+ * output has closed; end() finishes the archive.
+ */
+export function createZipStream(output) {
+  const written = [];
+  let offset = 0;
+  // Wait out backpressure; a closed stream never drains (nor emits close again), so it fails the write instead
+  const write = (chunk) => new Promise((resolve, reject) => {
+    if (output.destroyed || output.writableEnded) return reject(new Error('zip output is closed'));
+    if (output.write(chunk)) return resolve();
+    const settle = (err) => {
+      output.off('drain', onDrain);
+      output.off('close', onClose);
+      if (err) reject(err); else resolve();
+    };
+    const onDrain = () => settle();
+    const onClose = () => settle(new Error('zip output is closed'));
+    output.on('drain', onDrain);
+    output.on('close', onClose);
+  });
+  return {
+    async add(spec) {
+      if (written.length >= 0xffff) throw new Error('too many zip entries');
+      const { entry, header, body } = encodeEntry(spec, offset);
+      written.push(entry);
+      offset += header.length + body.length;
+      await write(header);
+      await write(body);
+    },
+    end() {
+      output.end(centralDirectory(written, offset));
+    },
+  };
+}
+
+function fromDosDateTime(time, date) {
+  return new Date(1980 + (date >> 9), ((date >> 5) & 0x0f) - 1, date & 0x1f, time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2);
+}
+
+/**
+ * Read a ZIP archive from a buffer through its central directory.
+ * Returns [{ name, data: Buffer, date }]; only stored and deflated entries are supported.
+ */
+export function readZip(buf) {
+  let eocd = -1;
+  // The end record is 22 bytes plus a comment of up to 64 KB
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('not a zip archive');
+  const count = buf.readUInt16LE(eocd + 10);
+  let pos = buf.readUInt32LE(eocd + 16);
+  const entries = [];
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(pos) !== 0x02014b50) throw new Error('corrupt zip central directory');
+    const method = buf.readUInt16LE(pos + 10);
+    const time = buf.readUInt16LE(pos + 12);
+    const date = buf.readUInt16LE(pos + 14);
+    const compressedSize = buf.readUInt32LE(pos + 20);
+    const nameLength = buf.readUInt16LE(pos + 28);
+    const extraLength = buf.readUInt16LE(pos + 30);
+    const commentLength = buf.readUInt16LE(pos + 32);
+    const offset = buf.readUInt32LE(pos + 42);
+    const name = buf.toString('utf8', pos + 46, pos + 46 + nameLength);
+    pos += 46 + nameLength + extraLength + commentLength;
+    // The local header repeats the name and may carry a different extra field
+    const start = offset + 30 + buf.readUInt16LE(offset + 26) + buf.readUInt16LE(offset + 28);
+    const body = buf.subarray(start, start + compressedSize);
+    if (method !== 0 && method !== 8) throw new Error(`unsupported zip compression method ${method}`);
+    entries.push({ name, data: method === 8 ? zlib.inflateRawSync(body) : Buffer.from(body), date: fromDosDateTime(time, date) });
+  }
+  return entries;
+}
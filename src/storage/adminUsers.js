@@ -0,0 +1,79 @@
+import { getDb } from '../db.js';
+
+// password_hash never leaves this module's callers unless asked for explicitly
+const PUBLIC_COLUMNS = 'id, username, role, disabled, created_at, updated_at, last_login_at';
+const EDITABLE = ['password_hash', 'role', 'disabled', 'last_login_at'];
+
+function fromRow(row) {
+  return row ? { ...row, disabled: !!row.disabled } : null;
+}
+
+export function listAdminUsers() {
+  return getDb().prepare(`SELECT ${PUBLIC_COLUMNS} FROM admin_users ORDER BY id`).all().map(fromRow);
+}
+
+export function getAdminUser(id) {
+  return fromRow(getDb().prepare(`SELECT ${PUBLIC_COLUMNS} FROM admin_users WHERE id = ?`).get(Number(id)));
+}
+
+// Includes password_hash, for login only
+export function getAdminUserCredentials(username) {
+  return fromRow(getDb().prepare(`SELECT ${PUBLIC_COLUMNS}, password_hash FROM admin_users WHERE username = ?`).get(String(username)));
+}
+
+export function countAdminUsers({ role = null } = {}) {
+  return role
+    ? getDb().prepare('SELECT COUNT(*) AS n FROM admin_users WHERE role = ? AND disabled = 0').get(role).n
+    : getDb().prepare('SELECT COUNT(*) AS n FROM admin_users').get().n;
+}
+
+export function insertAdminUser({ username, passwordHash, role }) {
+  const { lastInsertRowid } = getDb().prepare(`INSERT INTO admin_users (username, password_hash, role, created_at)
+    VALUES (?, ?, ?, ?)`).run(username, passwordHash, role, new Date().toISOString());
+  return getAdminUser(lastInsertRowid);
+}
+
+export function updateAdminUser(id, changes) {
+  const keys = Object.keys(changes).filter(k => EDITABLE.includes(k));
+  if (keys.length) {
+    const values = { id: Number(id), updated_at: new Date().toISOString() };
+    keys.forEach((k) => { values[k] = k === 'disabled' ? (changes[k] ? 1 : 0) : changes[k]; });
+    getDb().prepare(`UPDATE admin_users SET ${keys.map(k => `${k} = @${k}`).join(', ')}, updated_at = @updated_at WHERE id = @id`).run(values);
+  }
+  return getAdminUser(id);
+}
+
+export function deleteAdminUser(id) {
+  return getDb().prepare('DELETE FROM admin_users WHERE id = ?').run(Number(id)).changes > 0;
+}
+
+// Sessions, keyed by the hash of the cookie value
+
+export function insertAdminSession({ id, userId, csrfToken, ip, userAgent, createdAt, expiresAt }) {
+  getDb().prepare(`INSERT INTO admin_sessions (id, user_id, csrf_token, ip, user_agent, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`).run(id, userId, csrfToken, ip || '', userAgent || '', createdAt, expiresAt);
+}
+
+// The session with its user, or null when missing or expired
+export function getAdminSession(id, now = new Date().toISOString()) {
+  const row = getDb().prepare(`SELECT s.id, s.csrf_token, s.expires_at, u.id AS user_id, u.username, u.role, u.disabled
+    FROM admin_sessions s JOIN admin_users u ON u.id = s.user_id
+    WHERE s.id = ? AND s.expires_at > ?`).get(id, now);
+  return row ? { ...row, disabled: !!row.disabled } : null;
+}
+
+export function extendAdminSession(id, expiresAt) {
+  getDb().prepare('UPDATE admin_sessions SET expires_at = ? WHERE id = ?').run(expiresAt, id);
+}
+
+export function deleteAdminSession(id) {
+  getDb().prepare('DELETE FROM admin_sessions WHERE id = ?').run(id);
+}
+
+export function deleteAdminSessionsForUser(userId) {
+  return getDb().prepare('DELETE FROM admin_sessions WHERE user_id = ?').run(Number(userId)).changes;
+}
+
+export function deleteExpiredAdminSessions(now = new Date().toISOString()) {
+  return getDb().prepare('DELETE FROM admin_sessions WHERE expires_at <= ?').run(now).changes;
+}
@@ -0,0 +1,70 @@
+import { getDb } from '../db.js';
+
+// Aggregates over the download history between fromIso (inclusive) and toIso (exclusive)
+
+const OUTCOME_SUMS = `
+  SUM(d.outcome = 'success') AS success,
+  SUM(d.outcome = 'failed') AS failed,
+  SUM(d.outcome = 'rejected') AS rejected,
+  SUM(d.outcome = 'aborted') AS aborted,
+  COALESCE(SUM(CASE WHEN d.outcome = 'success' THEN d.bytes END), 0) AS bytes,
+  -- Time to fetch a template that wasn't cached
+  AVG(CASE WHEN d.outcome = 'success' AND d.cached = 0 THEN d.duration_ms END) AS avg_duration_ms`;
+const IN_RANGE = 'd.created_at >= @fromIso AND d.created_at < @toIso';
+
+export function downloadSummary({ fromIso, toIso }) {
+  return getDb().prepare(`
+    SELECT COUNT(*) AS attempts, ${OUTCOME_SUMS},
+      SUM(d.outcome = 'success' AND d.cached = 1) AS cache_hits
+    FROM downloads d WHERE ${IN_RANGE}
+  `).get({ fromIso, toIso });
+}
+
+/**
+ * Per-bucket totals, oldest first. `format` is a strftime pattern naming the bucket
+ * and `shift` an SQLite modifier (e.g. '+480 minutes') moving timestamps into the viewer's time zone.
+ */
+export function downloadSeries({ fromIso, toIso }, { format, shift }) {
+  return getDb().prepare(`
+    SELECT strftime(@format, d.created_at, @shift) AS bucket, ${OUTCOME_SUMS}
+    FROM downloads d WHERE ${IN_RANGE}
+    GROUP BY bucket ORDER BY bucket
+  `).all({ fromIso, toIso, format, shift });
+}
+
+// Most frequent refusal and failure codes, each with one of its error details as an example;
+// attempts without a code (aborted, or logged before codes were stored) are grouped by their error text
+export function downloadErrors({ fromIso, toIso }, { limit = 10 } = {}) {
+  return getDb().prepare(`
+    SELECT d.outcome, COALESCE(d.code, d.error, '') AS code, COUNT(*) AS count, MAX(d.error) AS error
+    FROM downloads d WHERE ${IN_RANGE} AND d.outcome != 'success'
+    GROUP BY d.outcome, COALESCE(d.code, d.error, '') ORDER BY count DESC LIMIT @limit
+  `).all({ fromIso, toIso, limit });
+}
+
+export function topTemplates({ fromIso, toIso }, { limit = 10 } = {}) {
+  return getDb().prepare(`
+    SELECT d.template_url, COUNT(*) AS downloads, SUM(d.bytes) AS bytes
+    FROM downloads d WHERE ${IN_RANGE} AND d.outcome = 'success' AND d.template_url IS NOT NULL
+    GROUP BY d.template_url ORDER BY downloads DESC LIMIT @limit
+  `).all({ fromIso, toIso, limit });
+}
+
+// Tokens with the most successful downloads; note and batch are null once the token is deleted
+export function topTokens({ fromIso, toIso }, { limit = 10 } = {}) {
+  return getDb().prepare(`
+    SELECT d.token, COUNT(*) AS downloads, SUM(d.bytes) AS bytes, MAX(d.created_at) AS last_at, t.note, t.batch_id
+    FROM downloads d LEFT JOIN tokens t ON t.token = d.token
+    WHERE ${IN_RANGE} AND d.outcome = 'success' AND d.token IS NOT NULL
+    GROUP BY d.token ORDER BY downloads DESC LIMIT @limit
+  `).all({ fromIso, toIso, limit });
+}
+
+export function topBatches({ fromIso, toIso }, { limit = 10 } = {}) {
+  return getDb().prepare(`
+    SELECT t.batch_id, b.note, b.created_at, COUNT(*) AS downloads, SUM(d.bytes) AS bytes
+    FROM downloads d JOIN tokens t ON t.token = d.token LEFT JOIN batches b ON b.id = t.batch_id
+    WHERE ${IN_RANGE} AND d.outcome = 'success' AND t.batch_id IS NOT NULL
+    GROUP BY t.batch_id ORDER BY downloads DESC LIMIT @limit
+  `).all({ fromIso, toIso, limit });
+}
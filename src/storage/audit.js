@@ -0,0 +1,36 @@
+import { getDb } from '../db.js';
+
+const COLUMNS = 'id, created_at, user_id, username, action, target, details, ip';
+
+function fromRow(row) {
+  let details = null;
+  try { details = row.details ? JSON.parse(row.details) : null; } catch (_) { details = row.details; }
+  return { ...row, details };
+}
+
+export function insertAuditEntry({ userId = null, username, action, target = null, details = null, ip = '' }) {
+  getDb().prepare(`INSERT INTO audit_log (created_at, user_id, username, action, target, details, ip)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`)
+    .run(new Date().toISOString(), userId, username, action, target, details == null ? null : JSON.stringify(details), ip || '');
+}
+
+// Filters: username, action (prefix match, e.g. "link."); newest first
+function whereClause({ username, action }) {
+  const clauses = [];
+  const params = {};
+  if (username) { clauses.push('username = @username'); params.username = username; }
+  if (action) { clauses.push("action LIKE @action ESCAPE '\\'"); params.action = `${String(action).replace(/[\\%_]/g, m => `\\${m}`)}%`; }
+  return { sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+export function countAuditEntries(filters = {}) {
+  const { sql, params } = whereClause(filters);
+  return getDb().prepare(`SELECT COUNT(*) AS n FROM audit_log ${sql}`).get(params).n;
+}
+
+export function findAuditEntries(filters = {}, { limit = 50, offset = 0 } = {}) {
+  const { sql, params } = whereClause(filters);
+  return getDb().prepare(`SELECT ${COLUMNS} FROM audit_log ${sql} ORDER BY id DESC LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit, offset })
+    .map(fromRow);
+}
@@ -0,0 +1,69 @@
+import { getDb } from '../db.js';
+import { createTokens, POLICY_COLUMNS } from './tokens.js';
+
+// Per-batch usage: how many tokens were used at all, downloads spent, bytes delivered
+const SELECT_BATCH = `
+  SELECT b.id, b.count, b.max_downloads, b.expires_at, b.note, b.created_by, b.created_at, b.revoked_at,
+    ${POLICY_COLUMNS.map(c => `b.${c}`).join(', ')},
+    (SELECT COUNT(*) FROM tokens t WHERE t.batch_id = b.id) AS token_count,
+    (SELECT COUNT(*) FROM tokens t WHERE t.batch_id = b.id AND t.downloads_used > 0) AS tokens_used,
+    (SELECT COUNT(*) FROM tokens t WHERE t.batch_id = b.id AND t.disabled = 1) AS tokens_disabled,
+    (SELECT COALESCE(SUM(t.downloads_used), 0) FROM tokens t WHERE t.batch_id = b.id) AS downloads,
+    (SELECT COALESCE(SUM(d.bytes), 0) FROM downloads d JOIN tokens t ON t.token = d.token
+      WHERE t.batch_id = b.id AND d.outcome = 'success') AS bytes
+  FROM batches b`;
+
+/**
+ * Create a batch record and its tokens in one transaction.
+ * `tokens` are the generated token strings; the batch parameters apply to every token.
+ * `policy` holds the POLICY_COLUMNS written to the batch and each token: validity window (valid_for_hours),
+ * period caps (period, period_limit), cooldown_minutes, rate_limit_per_minute, max_concurrent and the client
+ * binding (bind_mode, max_clients); missing ones are stored as null.
+ */
+export function createBatch({ tokens, maxDownloads = null, expiresAt = null, note = '', createdBy = null, policy = {} }) {
+  const db = getDb();
+  return db.transaction(() => {
+    const createdAt = new Date().toISOString();
+    const policyValues = Object.fromEntries(POLICY_COLUMNS.map(c => [c, policy[c] ?? null]));
+    const { lastInsertRowid: batchId } = db.prepare(`INSERT INTO batches
+      (count, max_downloads, expires_at, note, created_by, created_at, ${POLICY_COLUMNS.join(', ')})
+      VALUES (@count, @max_downloads, @expires_at, @note, @created_by, @created_at, ${POLICY_COLUMNS.map(c => `@${c}`).join(', ')})`)
+      .run({
+        count: tokens.length,
+        max_downloads: maxDownloads,
+        expires_at: expiresAt,
+        note: note || '',
+        created_by: createdBy,
+        created_at: createdAt,
+        ...policyValues,
+      });
+    const rows = createTokens(tokens.map(token => ({
+      token,
+      max_downloads: maxDownloads,
+      expires_at: expiresAt,
+      note,
+      batch_id: batchId,
+      created_at: createdAt,
+      ...policyValues,
+    })));
+    return { batch: getBatch(batchId), tokens: rows };
+  })();
+}
+
+export function listBatches() {
+  return getDb().prepare(`${SELECT_BATCH} ORDER BY b.id DESC`).all();
+}
+
+export function getBatch(id) {
+  return getDb().prepare(`${SELECT_BATCH} WHERE b.id = ?`).get(Number(id)) || null;
+}
+
+// Disable every token of the batch and stamp the batch as revoked; returns the number of tokens disabled
+export function revokeBatch(id) {
+  const db = getDb();
+  return db.transaction(() => {
+    const now = new Date().toISOString();
+    db.prepare('UPDATE batches SET revoked_at = COALESCE(revoked_at, ?) WHERE id = ?').run(now, Number(id));
+    return db.prepare('UPDATE tokens SET disabled = 1, updated_at = ? WHERE batch_id = ? AND disabled = 0').run(now, Number(id)).changes;
+  })();
+}
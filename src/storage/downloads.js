@@ -0,0 +1,47 @@
+import { getDb } from '../db.js';
+
+const COLUMNS = 'id, created_at, token, route, template_url, input_url, filename, bytes, duration_ms, cached, client_ip, user_agent, outcome, code, error';
+
+function fromRow(row) {
+  return { ...row, cached: !!row.cached };
+}
+
+// Append one attempt and drop the oldest records beyond `maxRecords`; returns the stored row
+export function insertDownload(entry, { maxRecords = null } = {}) {
+  const db = getDb();
+  return db.transaction(() => {
+    const { lastInsertRowid } = db.prepare(`INSERT INTO downloads
+      (created_at, token, route, template_url, input_url, filename, bytes, duration_ms, cached, client_ip, user_agent, outcome, code, error)
+      VALUES (@created_at, @token, @route, @template_url, @input_url, @filename, @bytes, @duration_ms, @cached, @client_ip, @user_agent, @outcome, @code, @error)`)
+      .run({ ...entry, cached: entry.cached ? 1 : 0 });
+    if (maxRecords) {
+      db.prepare('DELETE FROM downloads WHERE id <= ?').run(Number(lastInsertRowid) - maxRecords);
+    }
+    return fromRow(db.prepare(`SELECT ${COLUMNS} FROM downloads WHERE id = ?`).get(lastInsertRowid));
+  })();
+}
+
+// Filters: token, outcome, fromIso (inclusive), toIso (exclusive)
+function whereClause({ token, outcome, fromIso, toIso }) {
+  const clauses = [];
+  const params = {};
+  if (token) { clauses.push('token = @token'); params.token = token; }
+  if (outcome) { clauses.push('outcome = @outcome'); params.outcome = outcome; }
+  if (fromIso) { clauses.push('created_at >= @fromIso'); params.fromIso = fromIso; }
+  if (toIso) { clauses.push('created_at < @toIso'); params.toIso = toIso; }
+  return { sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+export function countDownloads(filters = {}) {
+  const { sql, params } = whereClause(filters);
+  return getDb().prepare(`SELECT COUNT(*) AS n FROM downloads ${sql}`).get(params).n;
+}
+
+// Newest first; omit `limit` to get every match
+export function findDownloads(filters = {}, { limit = null, offset = 0 } = {}) {
+  const { sql, params } = whereClause(filters);
+  const page = limit != null ? 'LIMIT @limit OFFSET @offset' : '';
+  return getDb().prepare(`SELECT ${COLUMNS} FROM downloads ${sql} ORDER BY id DESC ${page}`)
+    .all(limit != null ? { ...params, limit, offset } : params)
+    .map(fromRow);
+}
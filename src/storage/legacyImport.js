@@ -0,0 +1,73 @@
+import fs from 'fs';
+import { createLogger } from '../logger.js';
+
+const log = createLogger({ module: 'db' });
+
+const IMPORT_KEY = 'legacy_app_json_import';
+
+/**
+ * One-time copy of tokens, download history and totals from the old lowdb `app.json`.
+ * Runs in a single transaction and records itself in `meta`, so later starts never import again.
+ * The JSON file is left in place untouched.
+ */
+export function importLegacyJson(db, jsonPath) {
+  if (db.prepare('SELECT value FROM meta WHERE key = ?').get(IMPORT_KEY)) return null;
+  let data = null;
+  if (fs.existsSync(jsonPath)) {
+    try {
+      data = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    } catch (err) {
+      // Better to stop than to mark the import done and silently lose every token
+      throw new Error(`cannot import ${jsonPath}: ${err.message}`);
+    }
+  }
+  const tokens = Array.isArray(data && data.tokens) ? data.tokens : [];
+  const downloads = Array.isArray(data && data.downloads) ? data.downloads : [];
+  const stats = (data && data.stats) || {};
+
+  const insertToken = db.prepare(`INSERT OR IGNORE INTO tokens (id, token, max_downloads, downloads_used, expires_at, note, created_at)
+    VALUES (@id, @token, @max_downloads, @downloads_used, @expires_at, @note, @created_at)`);
+  const insertDownload = db.prepare(`INSERT OR IGNORE INTO downloads
+    (id, created_at, token, route, template_url, filename, bytes, duration_ms, cached, client_ip, user_agent, outcome, error)
+    VALUES (@id, @created_at, @token, @route, @template_url, @filename, @bytes, @duration_ms, @cached, @client_ip, @user_agent, @outcome, @error)`);
+
+  const summary = { tokens: 0, downloads: 0 };
+  db.transaction(() => {
+    for (const t of tokens) {
+      if (!t || !t.token) continue;
+      summary.tokens += insertToken.run({
+        id: Number.isInteger(t.id) ? t.id : null,
+        token: String(t.token),
+        max_downloads: t.max_downloads != null ? Number(t.max_downloads) : null,
+        downloads_used: Number(t.downloads_used || 0),
+        expires_at: t.expires_at || null,
+        note: t.note || '',
+        created_at: t.created_at || new Date().toISOString(),
+      }).changes;
+    }
+    for (const d of downloads) {
+      if (!d || !d.outcome) continue;
+      summary.downloads += insertDownload.run({
+        id: Number.isInteger(d.id) ? d.id : null,
+        created_at: d.created_at || new Date().toISOString(),
+        token: d.token || null,
+        route: d.route || '',
+        template_url: d.template_url || null,
+        filename: d.filename || null,
+        bytes: Number(d.bytes || 0),
+        duration_ms: d.duration_ms != null ? Math.round(d.duration_ms) : null,
+        cached: d.cached ? 1 : 0,
+        client_ip: d.client_ip || '',
+        user_agent: d.user_agent || '',
+        outcome: d.outcome,
+        error: d.error || null,
+      }).changes;
+    }
+    db.prepare('UPDATE stats SET total_downloads = total_downloads + ?, total_bytes = total_bytes + ? WHERE id = 1')
+      .run(Number(stats.totalDownloads || 0), Number(stats.totalBytes || 0));
+    db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)')
+      .run(IMPORT_KEY, JSON.stringify({ at: new Date().toISOString(), source: data ? jsonPath : null, ...summary }));
+  })();
+  if (data) log.info('imported legacy data', { tokens: summary.tokens, downloads: summary.downloads, file: jsonPath });
+  return summary;
+}
@@ -0,0 +1,231 @@
+import { createLogger } from '../logger.js';
+
+const log = createLogger({ module: 'db' });
+
+// Versioned schema changes, applied in order inside one transaction each. Never edit a shipped entry; append a new one.
+const migrations = [
+  {
+    version: 1,
+    name: 'initial schema',
+    up: `
+      CREATE TABLE tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token TEXT NOT NULL UNIQUE,
+        max_downloads INTEGER,
+        downloads_used INTEGER NOT NULL DEFAULT 0,
+        expires_at TEXT,
+        note TEXT NOT NULL DEFAULT '',
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_tokens_created_at ON tokens (created_at);
+
+      CREATE TABLE reservations (
+        id TEXT PRIMARY KEY,
+        token_id INTEGER NOT NULL REFERENCES tokens (id) ON DELETE CASCADE,
+        route TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_reservations_token ON reservations (token_id, expires_at);
+
+      CREATE TABLE downloads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at TEXT NOT NULL,
+        token TEXT,
+        route TEXT NOT NULL DEFAULT '',
+        template_url TEXT,
+        filename TEXT,
+        bytes INTEGER NOT NULL DEFAULT 0,
+        duration_ms INTEGER,
+        cached INTEGER NOT NULL DEFAULT 0,
+        client_ip TEXT NOT NULL DEFAULT '',
+        user_agent TEXT NOT NULL DEFAULT '',
+        outcome TEXT NOT NULL,
+        error TEXT
+      );
+      CREATE INDEX idx_downloads_created_at ON downloads (created_at);
+      CREATE INDEX idx_downloads_token ON downloads (token, created_at);
+
+      CREATE TABLE stats (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        total_downloads INTEGER NOT NULL DEFAULT 0,
+        total_bytes INTEGER NOT NULL DEFAULT 0
+      );
+      INSERT INTO stats (id) VALUES (1);
+
+      CREATE TABLE meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `,
+  },
+  {
+    version: 2,
+    name: 'token disable flag',
+    up: `
+      ALTER TABLE tokens ADD COLUMN disabled INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE tokens ADD COLUMN updated_at TEXT;
+    `,
+  },
+  {
+    version: 3,
+    name: 'token batches',
+    up: `
+      CREATE TABLE batches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        count INTEGER NOT NULL,
+        max_downloads INTEGER,
+        expires_at TEXT,
+        note TEXT NOT NULL DEFAULT '',
+        created_by TEXT,
+        created_at TEXT NOT NULL,
+        revoked_at TEXT
+      );
+      ALTER TABLE tokens ADD COLUMN batch_id INTEGER REFERENCES batches (id) ON DELETE SET NULL;
+      CREATE INDEX idx_tokens_batch ON tokens (batch_id);
+    `,
+  },
+  {
+    version: 4,
+    name: 'relative validity, period caps and cooldown',
+    up: `
+      ALTER TABLE tokens ADD COLUMN valid_for_hours INTEGER;
+      ALTER TABLE tokens ADD COLUMN first_used_at TEXT;
+      ALTER TABLE tokens ADD COLUMN period TEXT CHECK (period IN ('day', 'week'));
+      ALTER TABLE tokens ADD COLUMN period_limit INTEGER;
+      ALTER TABLE tokens ADD COLUMN cooldown_minutes INTEGER;
+      ALTER TABLE batches ADD COLUMN valid_for_hours INTEGER;
+      ALTER TABLE batches ADD COLUMN period TEXT;
+      ALTER TABLE batches ADD COLUMN period_limit INTEGER;
+      ALTER TABLE batches ADD COLUMN cooldown_minutes INTEGER;
+
+      -- One row per download that used up quota; rolling caps and cooldowns are computed from it
+      CREATE TABLE token_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_id INTEGER NOT NULL REFERENCES tokens (id) ON DELETE CASCADE,
+        used_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_token_usage ON token_usage (token_id, used_at);
+    `,
+  },
+  {
+    version: 5,
+    name: 'per-token rate and concurrency limits',
+    up: `
+      ALTER TABLE tokens ADD COLUMN rate_limit_per_minute INTEGER;
+      ALTER TABLE tokens ADD COLUMN max_concurrent INTEGER;
+      ALTER TABLE batches ADD COLUMN rate_limit_per_minute INTEGER;
+      ALTER TABLE batches ADD COLUMN max_concurrent INTEGER;
+    `,
+  },
+  {
+    version: 6,
+    name: 'token client binding',
+    up: `
+      ALTER TABLE tokens ADD COLUMN bind_mode TEXT CHECK (bind_mode IN ('device', 'ip'));
+      ALTER TABLE tokens ADD COLUMN max_clients INTEGER;
+      ALTER TABLE batches ADD COLUMN bind_mode TEXT;
+      ALTER TABLE batches ADD COLUMN max_clients INTEGER;
+
+      -- Distinct devices and IPs a token was used from
+      CREATE TABLE token_clients (
+        token_id INTEGER NOT NULL REFERENCES tokens (id) ON DELETE CASCADE,
+        kind TEXT NOT NULL CHECK (kind IN ('device', 'ip')),
+        value TEXT NOT NULL,
+        user_agent TEXT NOT NULL DEFAULT '',
+        first_seen_at TEXT NOT NULL,
+        last_seen_at TEXT NOT NULL,
+        uses INTEGER NOT NULL DEFAULT 1,
+        PRIMARY KEY (token_id, kind, value)
+      );
+    `,
+  },
+  {
+    version: 7,
+    name: 'admin users, sessions and audit log',
+    up: `
+      CREATE TABLE admin_users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('viewer', 'operator', 'owner')),
+        disabled INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT,
+        last_login_at TEXT
+      );
+
+      -- Only a hash of the session cookie is stored
+      CREATE TABLE admin_sessions (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES admin_users (id) ON DELETE CASCADE,
+        csrf_token TEXT NOT NULL,
+        ip TEXT NOT NULL DEFAULT '',
+        user_agent TEXT NOT NULL DEFAULT '',
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_admin_sessions_user ON admin_sessions (user_id);
+
+      -- Who did what; the username is copied so entries survive the user's deletion
+      CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at TEXT NOT NULL,
+        user_id INTEGER,
+        username TEXT NOT NULL,
+        action TEXT NOT NULL,
+        target TEXT,
+        details TEXT,
+        ip TEXT NOT NULL DEFAULT ''
+      );
+      CREATE INDEX idx_audit_log_created_at ON audit_log (created_at);
+    `,
+  },
+  {
+    version: 8,
+    name: 'raw template URL input of download attempts',
+    up: `
+      ALTER TABLE downloads ADD COLUMN input_url TEXT;
+    `,
+  },
+  {
+    version: 9,
+    name: 'reservations of one batch download share a group',
+    up: `
+      ALTER TABLE reservations ADD COLUMN group_id TEXT;
+    `,
+  },
+  {
+    version: 10,
+    name: 'error code of download attempts',
+    up: `
+      ALTER TABLE downloads ADD COLUMN code TEXT;
+    `,
+  },
+];
+
+export function migrate(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`);
+  const current = db.prepare('SELECT MAX(version) AS v FROM schema_migrations').get().v || 0;
+  const latest = migrations[migrations.length - 1].version;
+  if (current > latest) {
+    throw new Error(`database schema v${current} is newer than this build (v${latest})`);
+  }
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+  for (const m of migrations) {
+    if (m.version <= current) continue;
+    db.transaction(() => {
+      db.exec(m.up);
+      record.run(m.version, m.name, new Date().toISOString());
+    })();
+    log.info('applied migration', { version: m.version, name: m.name });
+  }
+}
+
+export function schemaVersion(db) {
+  return db.prepare('SELECT MAX(version) AS v FROM schema_migrations').get().v || 0;
+}
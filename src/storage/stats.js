@@ -0,0 +1,11 @@
+import { getDb } from '../db.js';
+
+export function getStats() {
+  const row = getDb().prepare('SELECT total_downloads, total_bytes FROM stats WHERE id = 1').get();
+  return { totalDownloads: row ? row.total_downloads : 0, totalBytes: row ? row.total_bytes : 0 };
+}
+
+export function addDownloadStats({ downloads = 1, bytes = 0 } = {}) {
+  getDb().prepare('UPDATE stats SET total_downloads = total_downloads + ?, total_bytes = total_bytes + ? WHERE id = 1')
+    .run(downloads, bytes);
+}
@@ -0,0 +1,29 @@
+import { getDb } from '../db.js';
+
+// Devices and IPs a token was used from; `kind` is 'device' or 'ip'
+
+export function hasTokenClient(tokenId, kind, value) {
+  return !!getDb().prepare('SELECT 1 FROM token_clients WHERE token_id = ? AND kind = ? AND value = ?').get(tokenId, kind, value);
+}
+
+export function countTokenClients(tokenId, kind) {
+  return getDb().prepare('SELECT COUNT(*) AS n FROM token_clients WHERE token_id = ? AND kind = ?').get(tokenId, kind).n;
+}
+
+// Insert the client or bump its last-seen time and use count
+export function touchTokenClient(tokenId, { kind, value, userAgent = '' }, seenAt = new Date().toISOString()) {
+  getDb().prepare(`INSERT INTO token_clients (token_id, kind, value, user_agent, first_seen_at, last_seen_at)
+    VALUES (@tokenId, @kind, @value, @userAgent, @seenAt, @seenAt)
+    ON CONFLICT (token_id, kind, value) DO UPDATE SET last_seen_at = @seenAt, user_agent = @userAgent, uses = uses + 1`)
+    .run({ tokenId, kind, value, userAgent, seenAt });
+}
+
+// Most recently seen first
+export function listTokenClients(tokenId) {
+  return getDb().prepare(`SELECT kind, value, user_agent, first_seen_at, last_seen_at, uses
+    FROM token_clients WHERE token_id = ? ORDER BY last_seen_at DESC`).all(tokenId);
+}
+
+export function clearTokenClients(tokenId) {
+  return getDb().prepare('DELETE FROM token_clients WHERE token_id = ?').run(tokenId).changes;
+}
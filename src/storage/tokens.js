@@ -0,0 +1,180 @@
+import { getDb } from '../db.js';
+
+// Token rows keep the field names the API has always returned (snake_case, id/token/...)
+const TOKEN_COLUMNS = [
+  'id', 'token', 'max_downloads', 'downloads_used', 'expires_at', 'note', 'disabled', 'batch_id', 'created_at', 'updated_at',
+  'valid_for_hours', 'first_used_at', 'period', 'period_limit', 'cooldown_minutes',
+  'rate_limit_per_minute', 'max_concurrent', 'bind_mode', 'max_clients',
+];
+// Usage policy columns shared by tokens and batches
+export const POLICY_COLUMNS = [
+  'valid_for_hours', 'period', 'period_limit', 'cooldown_minutes', 'rate_limit_per_minute', 'max_concurrent',
+  'bind_mode', 'max_clients',
+];
+const SELECT_TOKEN = `SELECT ${TOKEN_COLUMNS.join(', ')} FROM tokens`;
+// Columns an admin may change through updateTokens
+const EDITABLE = ['max_downloads', 'downloads_used', 'expires_at', 'note', 'disabled', 'first_used_at', ...POLICY_COLUMNS];
+
+// Status filters for listTokens; `active` = usable now (not disabled, expired or used up)
+export const TOKEN_STATUSES = ['active', 'unused', 'exhausted', 'expired', 'disabled'];
+// expires_at is a date: the token stays valid through that (local) day
+const EXPIRED_SQL = `((t.expires_at IS NOT NULL AND t.expires_at < @today)
+  OR (t.valid_for_hours IS NOT NULL AND t.first_used_at IS NOT NULL
+    AND julianday(t.first_used_at) + t.valid_for_hours / 24.0 <= julianday(@now)))`;
+const EXHAUSTED_SQL = '(t.max_downloads IS NOT NULL AND t.downloads_used >= t.max_downloads)';
+const STATUS_SQL = {
+  active: `(t.disabled = 0 AND NOT ${EXPIRED_SQL} AND NOT ${EXHAUSTED_SQL})`,
+  unused: 't.downloads_used = 0',
+  exhausted: EXHAUSTED_SQL,
+  expired: EXPIRED_SQL,
+  disabled: 't.disabled = 1',
+};
+
+function localDate(d = new Date()) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function fromRow(row) {
+  return row ? { ...row, disabled: !!row.disabled } : null;
+}
+
+function escapeLike(value) {
+  return String(value).toLowerCase().replace(/[\\%_]/g, m => `\\${m}`);
+}
+
+export function getToken(token) {
+  return fromRow(getDb().prepare(`${SELECT_TOKEN} WHERE token = ?`).get(String(token)));
+}
+
+// Newest first; `q` matches token or note (case-insensitive), `batchId` limits to one batch, `status` is one of TOKEN_STATUSES.
+// Rows include `downloads_reserved` and the number of distinct `devices` / `ips` seen.
+export function listTokens({ q = '', batchId = null, status = null } = {}) {
+  const now = new Date().toISOString();
+  const params = { now, today: localDate() };
+  const clauses = [];
+  if (q) {
+    clauses.push("(lower(t.token) LIKE @q ESCAPE '\\' OR lower(t.note) LIKE @q ESCAPE '\\')");
+    params.q = `%${escapeLike(q)}%`;
+  }
+  if (batchId != null) {
+    clauses.push('t.batch_id = @batchId');
+    params.batchId = batchId;
+  }
+  if (status) clauses.push(STATUS_SQL[status]);
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  return getDb().prepare(`
+    SELECT ${TOKEN_COLUMNS.map(c => `t.${c}`).join(', ')},
+      (SELECT COUNT(*) FROM reservations r WHERE r.token_id = t.id AND r.expires_at > @now) AS downloads_reserved,
+      (SELECT COUNT(*) FROM token_clients c WHERE c.token_id = t.id AND c.kind = 'device') AS devices,
+      (SELECT COUNT(*) FROM token_clients c WHERE c.token_id = t.id AND c.kind = 'ip') AS ips
+    FROM tokens t ${where}
+    ORDER BY t.created_at DESC, t.id DESC
+  `).all(params).map(fromRow);
+}
+
+// Rows for a bulk action: explicit token strings, or everything matching a listTokens search
+export function selectTokens({ tokens = null, q = '', batchId = null, status = null } = {}) {
+  if (Array.isArray(tokens)) {
+    const lookup = getDb().prepare(`${SELECT_TOKEN} WHERE token = ?`);
+    return [...new Set(tokens.map(String))].map(t => fromRow(lookup.get(t))).filter(Boolean);
+  }
+  return listTokens({ q, batchId, status });
+}
+
+// Insert many tokens in one transaction; resolves the stored rows in input order
+export function createTokens(rows) {
+  const db = getDb();
+  const insert = db.prepare(`INSERT INTO tokens
+    (token, max_downloads, downloads_used, expires_at, note, batch_id, created_at, ${POLICY_COLUMNS.join(', ')})
+    VALUES (@token, @max_downloads, 0, @expires_at, @note, @batch_id, @created_at, ${POLICY_COLUMNS.map(c => `@${c}`).join(', ')})`);
+  return db.transaction(() => rows.map((row) => {
+    const { lastInsertRowid } = insert.run({
+      token: row.token,
+      max_downloads: row.max_downloads ?? null,
+      expires_at: row.expires_at ?? null,
+      note: row.note || '',
+      batch_id: row.batch_id ?? null,
+      created_at: row.created_at,
+      ...Object.fromEntries(POLICY_COLUMNS.map(c => [c, row[c] ?? null])),
+    });
+    return fromRow(db.prepare(`${SELECT_TOKEN} WHERE id = ?`).get(lastInsertRowid));
+  }))();
+}
+
+/**
+ * Apply per-row changes in one transaction. `changesFor(row)` returns the columns to set
+ * (any of the EDITABLE columns) or null to skip the row.
+ * Returns the updated rows.
+ */
+export function updateTokens(rows, changesFor) {
+  const db = getDb();
+  return db.transaction(() => rows.map((row) => {
+    const changes = changesFor(row);
+    if (!changes) return null;
+    const keys = Object.keys(changes).filter(k => EDITABLE.includes(k));
+    if (keys.length === 0) return row;
+    const values = { id: row.id, updated_at: new Date().toISOString() };
+    keys.forEach((k) => { values[k] = k === 'disabled' ? (changes[k] ? 1 : 0) : changes[k]; });
+    db.prepare(`UPDATE tokens SET ${keys.map(k => `${k} = @${k}`).join(', ')}, updated_at = @updated_at WHERE id = @id`).run(values);
+    return fromRow(db.prepare(`${SELECT_TOKEN} WHERE id = ?`).get(row.id));
+  }).filter(Boolean))();
+}
+
+// Returns true when a row was removed; its reservations go with it
+export function deleteToken(token) {
+  return getDb().prepare('DELETE FROM tokens WHERE token = ?').run(String(token)).changes > 0;
+}
+
+export function deleteTokens(rows) {
+  const db = getDb();
+  const remove = db.prepare('DELETE FROM tokens WHERE id = ?');
+  return db.transaction(() => rows.reduce((n, row) => n + remove.run(row.id).changes, 0))();
+}
+
+// Count one download against the token: lifetime counter, usage log, and the start of a relative validity window
+export function incrementTokenUsage(tokenId, usedAt = new Date().toISOString()) {
+  const db = getDb();
+  db.prepare('UPDATE tokens SET downloads_used = downloads_used + 1, first_used_at = COALESCE(first_used_at, ?) WHERE id = ?')
+    .run(usedAt, tokenId);
+  db.prepare('INSERT INTO token_usage (token_id, used_at) VALUES (?, ?)').run(tokenId, usedAt);
+}
+
+// Downloads used since `sinceIso`, with the oldest of them (when the rolling window frees a slot)
+export function usageSince(tokenId, sinceIso) {
+  return getDb().prepare('SELECT COUNT(*) AS count, MIN(used_at) AS oldest FROM token_usage WHERE token_id = ? AND used_at > ?')
+    .get(tokenId, sinceIso);
+}
+
+// Forget the usage log (period caps, cooldown) after an admin resets the token's usage
+export function clearTokenUsage(tokenId) {
+  return getDb().prepare('DELETE FROM token_usage WHERE token_id = ?').run(tokenId).changes;
+}
+
+export function lastUsedAt(tokenId) {
+  return getDb().prepare('SELECT MAX(used_at) AS at FROM token_usage WHERE token_id = ?').get(tokenId).at;
+}
+
+// Reservations: downloads in flight that already count against the token's limit
+export function countActiveReservations(tokenId, { excludeId = null, now = new Date().toISOString() } = {}) {
+  return getDb().prepare('SELECT COUNT(*) AS n FROM reservations WHERE token_id = ? AND expires_at > ? AND id IS NOT ?')
+    .get(tokenId, now, excludeId).n;
+}
+
+// Downloads in flight for the concurrency cap: the reservations of one batch (same group_id) count once
+export function countActiveDownloads(tokenId, now = new Date().toISOString()) {
+  return getDb().prepare('SELECT COUNT(DISTINCT COALESCE(group_id, id)) AS n FROM reservations WHERE token_id = ? AND expires_at > ?')
+    .get(tokenId, now).n;
+}
+
+export function insertReservation({ id, tokenId, route, createdAt, expiresAt, groupId = null }) {
+  getDb().prepare('INSERT INTO reservations (id, token_id, route, created_at, expires_at, group_id) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(id, tokenId, route, createdAt, expiresAt, groupId);
+}
+
+export function deleteReservation(id) {
+  return getDb().prepare('DELETE FROM reservations WHERE id = ?').run(id).changes > 0;
+}
+
+export function deleteExpiredReservations(now = new Date().toISOString()) {
+  return getDb().prepare('DELETE FROM reservations WHERE expires_at <= ?').run(now).changes;
+}
@@ -0,0 +1,28 @@
+import './tokens.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { recordDownload, exportDownloads, downloadsToCsv } from '../src/services/downloadLog.js';
+import { downloadErrors } from '../src/storage/analytics.js';
+
+const RANGE = { fromIso: '2000-01-01T00:00:00.000Z', toIso: '2100-01-01T00:00:00.000Z' };
+
+test('failures are grouped by error code, not by their detail', () => {
+  recordDownload({ outcome: 'failed', error: 'Timeout 30000ms exceeded', code: 'UPSTREAM_TIMEOUT' });
+  recordDownload({ outcome: 'failed', error: 'page.goto: Timeout 45000ms exceeded', code: 'UPSTREAM_TIMEOUT' });
+  recordDownload({ outcome: 'rejected', error: 'exhausted', code: 'TOKEN_EXHAUSTED' });
+  recordDownload({ outcome: 'aborted', error: 'client disconnected' });
+  const errors = downloadErrors(RANGE).map(({ outcome, code, count }) => ({ outcome, code, count }));
+  assert.deepEqual(errors[0], { outcome: 'failed', code: 'UPSTREAM_TIMEOUT', count: 2 });
+  assert.deepEqual(errors.slice(1).sort((a, b) => a.outcome.localeCompare(b.outcome)), [
+    { outcome: 'aborted', code: 'client disconnected', count: 1 },
+    { outcome: 'rejected', code: 'TOKEN_EXHAUSTED', count: 1 },
+  ]);
+});
+
+test('the CSV export carries the code next to the detail', () => {
+  const [header, latest] = downloadsToCsv(exportDownloads()).split(/\r?\n/);
+  const columns = header.split(',');
+  const values = latest.split(',');
+  assert.equal(values[columns.indexOf('outcome')], 'aborted');
+  assert.ok(columns.indexOf('code') >= 0 && columns.indexOf('code') < columns.indexOf('error'));
+});
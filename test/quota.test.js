@@ -0,0 +1,92 @@
+import { makeToken } from './tokens.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getToken, insertReservation, countActiveReservations } from '../src/storage/tokens.js';
+import { isTokenValid, reserveQuota, reserveQuotaBatch } from '../src/services/quota.js';
+
+test('two reservations cannot both take the last download', () => {
+  const row = makeToken({ max_downloads: 1 });
+  const first = reserveQuota(row.token);
+  assert.equal(first.ok, true);
+  const second = reserveQuota(row.token);
+  assert.deepEqual(second, { ok: false, reason: 'exhausted' });
+  first.commit();
+  assert.equal(getToken(row.token).downloads_used, 1);
+  assert.equal(countActiveReservations(row.id), 0);
+  assert.equal(reserveQuota(row.token).reason, 'exhausted');
+});
+
+test('a released reservation hands the download back', () => {
+  const row = makeToken({ max_downloads: 1 });
+  const held = reserveQuota(row.token);
+  assert.equal(held.ok, true);
+  held.release();
+  // Only the first settle counts
+  held.commit();
+  assert.equal(getToken(row.token).downloads_used, 0);
+  const again = reserveQuota(row.token);
+  assert.equal(again.ok, true);
+  again.release();
+});
+
+test('expired reservations stop counting against the token', () => {
+  const row = makeToken({ max_downloads: 1 });
+  const past = new Date(Date.now() - 60 * 1000).toISOString();
+  insertReservation({ id: `stale-${row.id}`, tokenId: row.id, route: 'test', createdAt: past, expiresAt: past });
+  assert.equal(countActiveReservations(row.id), 0);
+  assert.equal(isTokenValid(getToken(row.token)).ok, true);
+  const held = reserveQuota(row.token);
+  assert.equal(held.ok, true);
+  held.release();
+});
+
+test('a batch is reserved whole or not at all', () => {
+  const row = makeToken({ max_downloads: 2 });
+  assert.deepEqual(reserveQuotaBatch(row.token, 3), { ok: false, reason: 'insufficient_quota', remaining: 2 });
+  assert.equal(countActiveReservations(row.id), 0);
+  const batch = reserveQuotaBatch(row.token, 2);
+  assert.equal(batch.ok, true);
+  assert.equal(batch.reservations.length, 2);
+  assert.equal(reserveQuota(row.token).reason, 'exhausted');
+  batch.reservations[0].commit();
+  batch.reservations[1].release();
+  assert.equal(getToken(row.token).downloads_used, 1);
+  assert.equal(countActiveReservations(row.id), 0);
+});
+
+test('a batch counts as one download in flight', () => {
+  // Default cap: MAX_CONCURRENT_PER_TOKEN = 2
+  const row = makeToken();
+  const batch = reserveQuotaBatch(row.token, 5);
+  assert.equal(batch.ok, true);
+  assert.equal(countActiveReservations(row.id), 5);
+  const single = reserveQuota(row.token);
+  assert.equal(single.ok, true);
+  assert.deepEqual(reserveQuotaBatch(row.token, 2), { ok: false, reason: 'concurrency' });
+  single.release();
+  batch.reservations.forEach(r => r.release());
+});
+
+test('a token with a cooldown can start a batch once the cooldown has passed', () => {
+  const row = makeToken({ cooldown_minutes: 10 });
+  const batch = reserveQuotaBatch(row.token, 3);
+  assert.equal(batch.ok, true);
+  batch.reservations.forEach(r => r.commit());
+  assert.equal(getToken(row.token).downloads_used, 3);
+  assert.equal(reserveQuotaBatch(row.token, 2).reason, 'cooldown');
+});
+
+test('a client is bound only once it has received a file', () => {
+  const row = makeToken({ bind_mode: 'device' });
+  const first = { ip: '203.0.113.7', device: 'device-a', userAgent: 'test' };
+  const second = { ip: '203.0.113.8', device: 'device-b', userAgent: 'test' };
+  // A download that fails leaves the link free for another device
+  reserveQuota(row.token, { client: first }).release();
+  const held = reserveQuota(row.token, { client: second });
+  assert.equal(held.ok, true);
+  held.commit();
+  assert.deepEqual(reserveQuota(row.token, { client: first }), { ok: false, reason: 'device_limit' });
+  const again = reserveQuota(row.token, { client: second });
+  assert.equal(again.ok, true);
+  again.release();
+});
@@ -0,0 +1,9 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Imported before anything that reads the config: each test file gets its own empty data directory
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'aippt-test-'));
+process.env.LOG_LEVEL = 'error';
+
+process.on('exit', () => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
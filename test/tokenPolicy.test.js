@@ -0,0 +1,54 @@
+import { makeToken } from './tokens.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getToken, incrementTokenUsage } from '../src/storage/tokens.js';
+import { isTokenValid, tokenStatus, PERIOD_MS } from '../src/services/quota.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('a link stays valid through its expiry day', () => {
+  assert.equal(isTokenValid(makeToken({ expires_at: new Date().toISOString() })).ok, true);
+  const yesterday = new Date(Date.now() - 36 * HOUR_MS).toISOString();
+  const expired = makeToken({ expires_at: yesterday });
+  assert.deepEqual(isTokenValid(expired), { ok: false, reason: 'expired' });
+  assert.equal(tokenStatus(expired), 'expired');
+});
+
+test('the relative validity window starts with the first download', () => {
+  const row = makeToken({ valid_for_hours: 2 });
+  assert.equal(isTokenValid(getToken(row.token)).ok, true);
+  const firstUse = new Date(Date.now() - 3 * HOUR_MS).toISOString();
+  incrementTokenUsage(row.id, firstUse);
+  incrementTokenUsage(row.id);
+  const used = getToken(row.token);
+  assert.equal(used.first_used_at, firstUse);
+  assert.deepEqual(isTokenValid(used), { ok: false, reason: 'expired' });
+});
+
+test('the period cap refuses until its oldest download leaves the window', () => {
+  const row = makeToken({ period: 'day', period_limit: 2 });
+  const first = new Date(Date.now() - HOUR_MS).toISOString();
+  incrementTokenUsage(row.id, first);
+  assert.equal(isTokenValid(getToken(row.token)).ok, true);
+  incrementTokenUsage(row.id);
+  const validity = isTokenValid(getToken(row.token));
+  assert.equal(validity.reason, 'period_limit');
+  assert.equal(validity.retryAt, new Date(new Date(first).getTime() + PERIOD_MS.day).toISOString());
+});
+
+test('downloads older than the period no longer count', () => {
+  const row = makeToken({ period: 'day', period_limit: 1 });
+  incrementTokenUsage(row.id, new Date(Date.now() - PERIOD_MS.day - HOUR_MS).toISOString());
+  assert.equal(isTokenValid(getToken(row.token)).ok, true);
+});
+
+test('the cooldown refuses until it has passed since the last download', () => {
+  const row = makeToken({ cooldown_minutes: 10 });
+  incrementTokenUsage(row.id, new Date(Date.now() - 15 * 60 * 1000).toISOString());
+  assert.equal(isTokenValid(getToken(row.token)).ok, true);
+  const usedAt = new Date().toISOString();
+  incrementTokenUsage(row.id, usedAt);
+  const validity = isTokenValid(getToken(row.token));
+  assert.equal(validity.reason, 'cooldown');
+  assert.equal(validity.retryAt, new Date(new Date(usedAt).getTime() + 10 * 60 * 1000).toISOString());
+});
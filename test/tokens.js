@@ -0,0 +1,13 @@
+import './setup.js';
+import { initDb } from '../src/db.js';
+import { createTokens } from '../src/storage/tokens.js';
+
+initDb();
+
+let seq = 0;
+
+// A fresh token with the given columns (max_downloads, period, cooldown_minutes, ...)
+export function makeToken(fields = {}) {
+  const [row] = createTokens([{ token: `test-token-${++seq}`, created_at: new Date().toISOString(), ...fields }]);
+  return row;
+}
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import { createZip, createZipStream, readZip } from '../src/services/zip.js';
+
+const entries = [
+  { name: 'manifest.json', data: JSON.stringify({ total: 2 }) },
+  { name: '模板 (2).pptx', data: Buffer.from('stored body'), store: true },
+  { name: 'empty.txt', data: '' },
+  { name: 'big.txt', data: 'abc'.repeat(50000) },
+];
+
+function assertEntries(actual) {
+  assert.deepEqual(actual.map(e => e.name), entries.map(e => e.name));
+  actual.forEach((entry, i) => assert.deepEqual(entry.data, Buffer.from(entries[i].data)));
+}
+
+test('createZip round-trips through readZip', () => {
+  assertEntries(readZip(createZip(entries)));
+});
+
+test('createZipStream writes the same archive as createZip', async () => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise(resolve => output.on('end', resolve));
+  const zip = createZipStream(output);
+  for (const entry of entries) await zip.add(entry);
+  zip.end();
+  await finished;
+  const buf = Buffer.concat(chunks);
+  assertEntries(readZip(buf));
+  assert.equal(buf.length, createZip(entries).length);
+});
+
+test('createZipStream fails entries added after the output has closed', async () => {
+  const output = new PassThrough();
+  output.resume();
+  const zip = createZipStream(output);
+  await zip.add(entries[0]);
+  output.destroy();
+  await assert.rejects(zip.add(entries[1]), /closed/);
+});
+
+test('createZipStream fails an entry waiting on backpressure when the output closes', async () => {
+  // Never read from: the big entry fills the buffer and waits for a drain that won't come
+  const output = new PassThrough({ highWaterMark: 1024 });
+  const zip = createZipStream(output);
+  const pending = zip.add({ name: 'big.txt', data: Buffer.alloc(64 * 1024), store: true });
+  setImmediate(() => output.destroy());
+  await assert.rejects(pending, /closed/);
+});